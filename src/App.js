@@ -1,28 +1,63 @@
 import React, { useState, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, useParams, useNavigate, useLocation, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import './App.css';
 import Navigation from './components/Navigation';
 import Squares from './components/Squares';
 import GameSelector from './components/GameSelector';
 import NameEntry from './components/NameEntry';
+import SeasonStandings from './components/SeasonStandings';
+import ClaimSquares from './components/ClaimSquares';
+import ContestResults from './components/ContestResults';
 import ErrorBoundary from './components/ErrorBoundary';
 import ServiceWorkerRegistration from './components/ServiceWorkerRegistration';
 import config from './config/config';
+import { getAdminToken, storeAdminToken } from './utils/adminAccess';
 
-// Contest route component that gets the documentId from URL params
+// The participant link shows the board, or lets participants claim squares on claiming
+// contests until the board starts; names are otherwise entered from the admin link
 function ContestPage() {
   const { documentId } = useParams();
+
+  return (
+    <div className="App">
+      <ErrorBoundary>
+        <ClaimSquares contestId={documentId} />
+      </ErrorBoundary>
+    </div>
+  );
+}
+
+// Organizer page for entering names and starting the contest. The token arrives in the admin
+// link once, is kept on this device and is then dropped from the address bar.
+function ContestAdminPage() {
+  const { documentId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  const linkToken = searchParams.get('token');
+  const adminToken = linkToken || getAdminToken(documentId);
 
-  const handleNamesSubmitted = () => {
-    // Navigate to squares page after names are submitted
-    navigate(`/contests/${documentId}/squares`);
+  useEffect(() => {
+    if (linkToken) {
+      storeAdminToken(documentId, linkToken);
+      setSearchParams({}, { replace: true });
+    }
+  }, [documentId, linkToken, setSearchParams]);
+
+  const handleNamesSubmitted = (boardId) => {
+    // Navigate to squares page after names are submitted, showing the board that just started
+    navigate(`/contests/${documentId}/squares${boardId ? `?board=${encodeURIComponent(boardId)}` : ''}`);
   };
 
   return (
     <div className="App">
       <ErrorBoundary>
-        <NameEntry contestId={documentId} onNamesSubmitted={handleNamesSubmitted} />
+        <NameEntry
+          contestId={documentId}
+          adminToken={adminToken}
+          notice={location.state?.notice || null}
+          onNamesSubmitted={handleNamesSubmitted}
+        />
       </ErrorBoundary>
     </div>
   );
@@ -33,14 +68,15 @@ function AppContent() {
   const [currentPage, setCurrentPage] = useState('home');
   const navigate = useNavigate();
 
-  const handleGameSelect = (eventId, costPerSquare, contestIdFromResponse) => {
+  const handleGameSelect = (eventId, costPerSquare, contestIdFromResponse, notice = null) => {
     if (!contestIdFromResponse) {
       // Could add error state here if needed
       return;
     }
     
-    // Navigate to contest page using the documentId
-    navigate(`/contests/${contestIdFromResponse}`);
+    // Navigate to the organizer's page for the new contest, passing on anything that went
+    // wrong after it was created
+    navigate(`/contests/${contestIdFromResponse}/admin`, notice ? { state: { notice } } : undefined);
   };
 
   const renderPage = () => {
@@ -114,6 +150,7 @@ function App() {
             </div>
           } />
           <Route path="/contests/:documentId" element={<ContestPage />} />
+          <Route path="/contests/:documentId/admin" element={<ContestAdminPage />} />
           <Route path="/contests/:documentId/squares" element={
             <div className="App no-scroll squares-page">
               <ErrorBoundary>
@@ -121,6 +158,20 @@ function App() {
               </ErrorBoundary>
             </div>
           } />
+          <Route path="/contests/:documentId/results" element={
+            <div className="App">
+              <ErrorBoundary>
+                <ContestResults />
+              </ErrorBoundary>
+            </div>
+          } />
+          <Route path="/seasons/:seasonId" element={
+            <div className="App">
+              <ErrorBoundary>
+                <SeasonStandings />
+              </ErrorBoundary>
+            </div>
+          } />
 
         </Routes>
       </Router>
@@ -0,0 +1,28 @@
+import React from 'react';
+import { formatAmount } from '../utils/currency';
+
+// Tabs for contests that run several boards on the same game; hidden for single-board contests
+function BoardSwitcher({ boards, activeBoardId, onSelect, currency }) {
+  if (boards.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="board-switcher" role="tablist" aria-label="Boards">
+      {boards.map(board => (
+        <button
+          key={board.id}
+          type="button"
+          role="tab"
+          aria-selected={board.id === activeBoardId}
+          className={`board-switcher-btn ${board.id === activeBoardId ? 'active' : ''}`}
+          onClick={() => onSelect(board.id)}
+        >
+          {board.label || formatAmount(board.costPerSquare, currency)} Board
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default BoardSwitcher;
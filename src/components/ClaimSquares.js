@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import { contestAPI } from '../services/apiService';
+import { reportError } from '../utils/errorReporter';
+import { validateName, sanitizeNameInput } from '../utils/validation';
+import { getBoardLayout } from '../utils/boardLayout';
+import { getContestBoards, findBoard } from '../utils/contestBoards';
+import { getPlayerSquares } from '../utils/playerSummary';
+import { isClaimingEnabled, getClaimLimit, canClaimSquare, CLAIM_POLL_MS } from '../utils/squareClaims';
+import { formatAmount, normalizeCurrency } from '../utils/currency';
+import { CONTEST_STATUS } from '../constants';
+import BoardSwitcher from './BoardSwitcher';
+import SeedCommitment from './SeedCommitment';
+
+// Participant page for claiming contests: enter a name once, then tap open squares. The board
+// refreshes every few seconds so squares other people take show up without reloading, and the
+// page moves on to the live board once the organizer starts it.
+function ClaimSquares({ contestId }) {
+  const playerStorageKey = `player_${contestId}`;
+  const [contest, setContest] = useState(null);
+  const [activeBoardId, setActiveBoardId] = useState(null);
+  const [player, setPlayer] = useState(() => localStorage.getItem(playerStorageKey) || '');
+  const [pendingSquare, setPendingSquare] = useState(null);
+  const [claimMessage, setClaimMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadContest = useCallback(async () => {
+    const data = await contestAPI.getContest(contestId);
+    setContest({
+      settings: data.contest?.settings || data.settings || {},
+      boards: getContestBoards(data)
+    });
+  }, [contestId]);
+
+  useEffect(() => {
+    loadContest().catch(err => {
+      reportError(err, 'network', { operation: 'fetchClaims', contestId });
+      setError('Failed to load the board');
+    });
+
+    // Later refreshes keep the last board on screen if one fails
+    const interval = setInterval(() => {
+      loadContest().catch(err => reportError(err, 'network', { operation: 'refreshClaims', contestId }));
+    }, CLAIM_POLL_MS);
+
+    return () => clearInterval(interval);
+  }, [loadContest, contestId]);
+
+  if (error) {
+    return (
+      <div className="App">
+        <div className="error-container">
+          <div className="error-text">Error: {error}</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!contest) {
+    return (
+      <div className="App">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <div className="loading-text">Loading board...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // Only boards that haven't started take claims; everything else is the read-only board
+  const openBoards = contest.boards.filter(board => board.status === CONTEST_STATUS.NEW);
+  if (!isClaimingEnabled(contest.settings) || openBoards.length === 0) {
+    return <Navigate to={`/contests/${contestId}/squares`} replace />;
+  }
+
+  const activeBoard = findBoard(openBoards, activeBoardId);
+  const layout = getBoardLayout(contest.settings.boardSize);
+  const currency = normalizeCurrency(contest.settings.currency);
+  const limit = getClaimLimit(contest.settings);
+  const names = Array.from({ length: layout.totalSquares }, (_, index) => activeBoard.names[index] || '');
+
+  // Names go through the same sanitizing and validation as the organizer's name entry, so a
+  // claimed name matches what the organizer would have typed
+  const nameValidation = validateName(sanitizeNameInput(player));
+  const playerName = nameValidation.isValid ? nameValidation.value : '';
+  const playerSquares = getPlayerSquares(names, playerName);
+
+  const changePlayer = (name) => {
+    setPlayer(name);
+    setClaimMessage(null);
+    const validation = validateName(sanitizeNameInput(name));
+    if (validation.isValid) {
+      localStorage.setItem(playerStorageKey, validation.value);
+    } else {
+      localStorage.removeItem(playerStorageKey);
+    }
+  };
+
+  const claim = async (gridIndex) => {
+    const check = canClaimSquare(names, gridIndex, playerName, limit);
+    if (!check.allowed || !nameValidation.isValid) {
+      setClaimMessage(check.reason || nameValidation.message);
+      return;
+    }
+
+    setPendingSquare(gridIndex);
+    setClaimMessage(null);
+    try {
+      await contestAPI.claimSquare(contestId, gridIndex, nameValidation.value, activeBoard.id);
+    } catch (err) {
+      // Someone else may have taken the square first; the refresh below shows who
+      setClaimMessage(err.originalError?.status === 409
+        ? 'Someone just claimed that square. Pick another one.'
+        : 'Could not claim that square. Please try again.');
+    }
+
+    try {
+      await loadContest();
+    } catch (err) {
+      reportError(err, 'network', { operation: 'refreshClaims', contestId });
+    } finally {
+      setPendingSquare(null);
+    }
+  };
+
+  return (
+    <div className="name-entry-container claim-page">
+      <div className="name-entry-header">
+        <h1 className="name-entry-title">Claim Your Squares</h1>
+      </div>
+
+      <BoardSwitcher
+        boards={openBoards}
+        activeBoardId={activeBoard.id}
+        onSelect={setActiveBoardId}
+        currency={currency}
+      />
+
+      <div className="claim-controls">
+        <input
+          type="text"
+          value={player}
+          onChange={(e) => changePlayer(e.target.value)}
+          className="name-input claim-name-input"
+          placeholder="Your name"
+          maxLength="100"
+          aria-label="Your name"
+        />
+        <span className="claim-status">
+          {formatAmount(activeBoard.costPerSquare, currency)} per square · You have {playerSquares.length}
+          {limit ? ` of ${limit}` : ''} square{playerSquares.length === 1 && !limit ? '' : 's'}
+        </span>
+      </div>
+
+      <SeedCommitment seedHash={activeBoard.seedHash} />
+
+      {claimMessage && <div className="error-text claim-message">{claimMessage}</div>}
+
+      <div className="claim-grid" style={{ gridTemplateColumns: `repeat(${layout.cols}, minmax(0, 1fr))` }}>
+        {names.map((name, index) => {
+          const gridIndex = index + 1;
+          const isMine = playerSquares.includes(gridIndex);
+
+          return name.trim() ? (
+            <div key={gridIndex} className={`claim-square taken ${isMine ? 'my-square' : ''}`} title={name}>
+              {name}
+            </div>
+          ) : (
+            <button
+              key={gridIndex}
+              type="button"
+              className="claim-square open"
+              onClick={() => claim(gridIndex)}
+              disabled={pendingSquare !== null}
+              aria-label={`Claim square ${gridIndex}`}
+            >
+              {pendingSquare === gridIndex ? '…' : gridIndex}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default ClaimSquares;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { loadContestPayouts } from '../services/gameService';
+import { reportError } from '../utils/errorReporter';
+import { addBoardSettlement, buildSettlement, formatSettlementText } from '../utils/settlement';
+import { toCents, fromCents } from '../utils/payoutAllocation';
+import { formatAmount, normalizeCurrency } from '../utils/currency';
+
+// Winnings and settlement for one contest: what each name won across every board and
+// checkpoint, and who pays in or gets paid once entry fees are netted off
+function ContestResults() {
+  const { documentId } = useParams();
+  const [results, setResults] = useState(null);
+  const [copyStatus, setCopyStatus] = useState('Copy Summary');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchResults = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { settings, games, boards } = await loadContestPayouts(documentId);
+
+      const totals = {};
+      let houseCents = 0;
+      boards.forEach(({ board, events, unallocated, totalSquares }) => {
+        addBoardSettlement(totals, board, events, unallocated, totalSquares);
+        houseCents += toCents(unallocated?.houseAmount || 0);
+      });
+
+      setResults({
+        title: games.length > 1 ? `${games.length}-game slate`
+          : games.length === 1 ? `${games[0].gameData.awayTeam.name} @ ${games[0].gameData.homeTeam.name}`
+          : 'Contest',
+        currency: normalizeCurrency(settings.currency),
+        isFinal: games.length > 0 && games.every(game => game.gameData.gameStatus === 'STATUS_FINAL'),
+        houseAmount: fromCents(houseCents),
+        rows: buildSettlement(totals)
+      });
+    } catch (err) {
+      reportError(err, 'network', { operation: 'fetchContestResults', contestId: documentId });
+      setError('Failed to load results. A game on this contest may not have loaded.');
+    } finally {
+      setLoading(false);
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    if (documentId) {
+      fetchResults();
+    }
+  }, [documentId, fetchResults]);
+
+  if (error) {
+    return (
+      <div className="App">
+        <div className="error-container">
+          <div className="error-text">Error: {error}</div>
+          <button type="button" className="retry-button" onClick={fetchResults}>
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading || !results) {
+    return (
+      <div className="App">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <div className="loading-text">Loading results...</div>
+        </div>
+      </div>
+    );
+  }
+
+  const { title, currency, isFinal, houseAmount, rows } = results;
+  const owes = rows.filter(row => row.net < 0);
+  const paid = rows.filter(row => row.net > 0);
+
+  const copySummary = () => {
+    const text = formatSettlementText(rows, { title, currency, houseAmount, isFinal });
+    const showCopied = () => {
+      setCopyStatus('Copied!');
+      setTimeout(() => setCopyStatus('Copy Summary'), 2000);
+    };
+
+    navigator.clipboard.writeText(text).then(showCopied).catch(() => {
+      // Fallback for older browsers
+      const textArea = document.createElement('textarea');
+      textArea.value = text;
+      document.body.appendChild(textArea);
+      textArea.select();
+      document.execCommand('copy');
+      document.body.removeChild(textArea);
+      showCopied();
+    });
+  };
+
+  return (
+    <div className="season-standings">
+      <div className="season-header">
+        <h1 className="season-title">{title} {isFinal ? 'Results' : 'Results So Far'}</h1>
+        <div className="results-actions">
+          <Link to={`/contests/${documentId}/squares`} className="toolbar-button">Back to Board</Link>
+          {rows.length > 0 && (
+            <button type="button" className="toolbar-button" onClick={copySummary}>
+              {copyStatus}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!isFinal && rows.length > 0 && (
+        <div className="ledger-empty">The game isn't over yet, so only payouts already decided are counted.</div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="ledger-empty">No boards have started yet.</div>
+      ) : (
+        <>
+          <div className="season-table-wrapper">
+            <table className="season-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Squares</th>
+                  <th>Entry</th>
+                  <th>Won</th>
+                  <th>Refund</th>
+                  <th>Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.name}>
+                    <td className="season-name">{row.name}</td>
+                    <td>{row.squares}</td>
+                    <td>{formatAmount(row.fees, currency)}</td>
+                    <td className={row.winnings > 0 ? 'season-won' : ''}>
+                      {row.winnings > 0 ? formatAmount(row.winnings, currency) : '–'}
+                    </td>
+                    <td>{row.refund > 0 ? formatAmount(row.refund, currency) : '–'}</td>
+                    <td className={`season-total ${row.net > 0 ? 'season-won' : row.net < 0 ? 'results-owes' : ''}`}>
+                      {formatAmount(row.net, currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="results-columns">
+            <div className="results-column">
+              <h2 className="results-heading">Owes</h2>
+              {owes.length === 0 ? (
+                <div className="ledger-empty">Nobody</div>
+              ) : owes.map(row => (
+                <div key={row.name} className="results-line">
+                  <span>{row.name}</span>
+                  <span className="results-owes">{formatAmount(-row.net, currency)}</span>
+                </div>
+              ))}
+            </div>
+            <div className="results-column">
+              <h2 className="results-heading">Gets Paid</h2>
+              {paid.length === 0 ? (
+                <div className="ledger-empty">Nobody</div>
+              ) : paid.map(row => (
+                <div key={row.name} className="results-line">
+                  <span>{row.name}</span>
+                  <span className="season-won">{formatAmount(row.net, currency)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {houseAmount > 0 && (
+            <div className="results-line results-house">
+              <span>House / Charity</span>
+              <span>{formatAmount(houseAmount, currency)}</span>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ContestResults;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { verifyDigitAssignment, isProvablyFairSupported } from '../utils/provablyFair';
+import { reportError } from '../utils/errorReporter';
+import PanelModal from './PanelModal';
+
+// Shows the revealed seed behind the digit shuffle and lets anyone re-check it in the browser
+function FairnessPanel({ seed, seedHash, digits, names, namesDigest }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!seedHash) {
+    return null;
+  }
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    setError(null);
+    try {
+      const verification = await verifyDigitAssignment(seed, seedHash, digits, names, namesDigest);
+      setResult(verification);
+    } catch (err) {
+      reportError(err, 'validation', { operation: 'verifyDigitAssignment' });
+      setError('Verification failed to run in this browser.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const renderDigitSets = (assignment) => {
+    const sets = assignment.quarters
+      ? assignment.quarters.map((set, i) => ({ label: `Q${i + 1}`, ...set }))
+      : [{ label: 'All quarters', rows: assignment.rows, cols: assignment.cols }];
+
+    return sets.map(set => (
+      <div key={set.label} className="fairness-digit-set">
+        <span className="fairness-digit-label">{set.label}</span>
+        <span>Columns: {set.cols.join(' ')}</span>
+        <span>Rows: {set.rows.join(' ')}</span>
+      </div>
+    ));
+  };
+
+  return (
+    <>
+      <button type="button" className="toolbar-button" onClick={() => setIsOpen(true)}>
+        Verify Numbers
+      </button>
+      {isOpen && (
+        <PanelModal title="Provably Fair Numbers" onClose={() => setIsOpen(false)}>
+          <div className="fairness-row">
+            <span className="fairness-label">Published hash (SHA-256)</span>
+            <code className="fairness-hash">{seedHash}</code>
+          </div>
+          <div className="fairness-row">
+            <span className="fairness-label">Revealed seed</span>
+            <code className="fairness-hash">{seed || 'Not revealed yet'}</code>
+          </div>
+          {namesDigest && (
+            <div className="fairness-row">
+              <span className="fairness-label">Locked names (SHA-256)</span>
+              <code className="fairness-hash">{namesDigest}</code>
+            </div>
+          )}
+
+          {seed && !namesDigest && (
+            <div className="fairness-note">
+              This board was started without its names locked into the draw, so it can't be marked as verified.
+            </div>
+          )}
+
+          {seed && isProvablyFairSupported() && (
+            <button
+              type="button"
+              className="fairness-verify-button"
+              onClick={handleVerify}
+              disabled={isVerifying}
+            >
+              {isVerifying ? 'Verifying...' : 'Recompute in Browser'}
+            </button>
+          )}
+          {seed && !isProvablyFairSupported() && (
+            <div className="fairness-note">This browser can't run the verification.</div>
+          )}
+
+          {error && <div className="fairness-result invalid">{error}</div>}
+
+          {result && (
+            <div className={`fairness-result ${result.isValid ? 'valid' : 'invalid'}`}>
+              <div>{result.hashMatches ? '✓ Seed matches the published hash' : '✗ Seed does not match the published hash'}</div>
+              <div>
+                {!result.hasNamesDigest ? '✗ No names were locked with this board, so its numbers could have been known before names were placed'
+                  : result.namesMatch ? '✓ Names match the ones locked at the start'
+                  : '✗ Names differ from the ones locked at the start'}
+              </div>
+              <div>{result.digitsMatch ? '✓ Board numbers match the seed' : '✗ Board numbers do not match the seed'}</div>
+              <div className="fairness-digits">{renderDigitSets(result.computedDigits)}</div>
+            </div>
+          )}
+        </PanelModal>
+      )}
+    </>
+  );
+}
+
+export default FairnessPanel;
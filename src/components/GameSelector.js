@@ -1,22 +1,76 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { getAllNFLGames, createSquaresGame } from '../services/gameService';
-import { validateEventId, validateCostPerSquare } from '../utils/validation';
+import { seasonAPI } from '../services/apiService';
+import { validateEventId, validateCostPerSquare, validateCheckpoints, validateSeasonId, validateSeasonName } from '../utils/validation';
 import { reportError } from '../utils/errorReporter';
+import { ERROR_TYPES } from '../utils/errorHandler';
+import { DIGIT_MODES, BOARD_SIZES, AXIS_ORIENTATIONS } from '../constants';
+import { OVERTIME_POLICIES, CHECKPOINT_PRESETS } from '../utils/scoringEngine';
+import { getResponseAdminToken, storeAdminToken, getAdminToken, getSeasonTokenKey } from '../utils/adminAccess';
+import { allocatePot, allocateCents, toCents, fromCents, UNALLOCATED_POLICIES } from '../utils/payoutAllocation';
+import { formatAmount, getCurrencySymbol, isPointsOnly, CURRENCY_OPTIONS, DEFAULT_CURRENCY } from '../utils/currency';
+import { getBoardLayout } from '../utils/boardLayout';
+import { MAX_BOARDS } from '../utils/contestBoards';
+
+// Built-in payout structures; each checkpoint's share of the pot follows its weight
+const PAYOUT_PRESETS = {
+  standard: { name: 'Quarters', checkpoints: CHECKPOINT_PRESETS.QUARTERS },
+  halftimeFinal: { name: 'Half & Final', checkpoints: CHECKPOINT_PRESETS.HALFTIME_FINAL },
+  finalDoubled: { name: 'Final Doubled', checkpoints: CHECKPOINT_PRESETS.FINAL_DOUBLED }
+};
+
+// Every-score contests pay a fixed amount per score and whatever is left at the final
+const EVERY_SCORE_CHECKPOINTS = [
+  { id: 'final', label: 'Final', period: 4, percentage: 0, remainder: true }
+];
+
+// Time-held contests pay the whole pot by how long each square was winning
+const TIME_HELD_LINES = [
+  { id: 'timeHeld', label: 'Time Held', percentage: 100 }
+];
+
+// Board sizes organizers can pick
+const BOARD_SIZE_OPTIONS = [
+  { size: BOARD_SIZES.STANDARD, label: '10×10 (100)' },
+  { size: BOARD_SIZES.HALF, label: '10×5 (50)' },
+  { size: BOARD_SIZES.SMALL, label: '5×5 (25)' }
+];
+
+// Period boundaries a checkpoint can pay at
+const CHECKPOINT_PERIODS = [
+  { period: 1, label: 'End of Q1' },
+  { period: 2, label: 'Halftime' },
+  { period: 3, label: 'End of Q3' },
+  { period: 4, label: 'Final' }
+];
 
 function GameSelector({ onGameSelect }) {
   const [games, setGames] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null); // a problem with the settings, shown above the submit button
   const [selectedEventId, setSelectedEventId] = useState('');
+  const [contestType, setContestType] = useState('single'); // 'single' or 'slate'
+  const [slateEventIds, setSlateEventIds] = useState([]);
   const [costPerSquare, setCostPerSquare] = useState(10);
   const [costInputValue, setCostInputValue] = useState('10');
-  const [payoutMode, setPayoutMode] = useState('standard'); // 'standard' or 'custom'
-  const [customPayouts, setCustomPayouts] = useState({
-    quarter1: 25,
-    quarter2: 25,
-    quarter3: 25,
-    quarter4: 25
-  });
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [payoutMode, setPayoutMode] = useState('standard'); // a PAYOUT_PRESETS key, 'custom', 'everyScore' or 'timeHeld'
+  const [digitMode, setDigitMode] = useState(DIGIT_MODES.FIXED);
+  const [boardSize, setBoardSize] = useState(BOARD_SIZES.STANDARD);
+  const [axisOrientation, setAxisOrientation] = useState(AXIS_ORIENTATIONS.HOME_COLUMNS);
+  const [customCheckpoints, setCustomCheckpoints] = useState([]);
+  const [customOvertimePercentage, setCustomOvertimePercentage] = useState(0);
+  const [scoreChangeInput, setScoreChangeInput] = useState('10');
+  const [reversePercentage, setReversePercentage] = useState(0);
+  const [neighborPercentage, setNeighborPercentage] = useState(0);
+  const [unallocatedPolicy, setUnallocatedPolicy] = useState(UNALLOCATED_POLICIES.FINAL);
+  const [overtimePolicy, setOvertimePolicy] = useState(OVERTIME_POLICIES.FINAL);
+  const [extraBoards, setExtraBoards] = useState([]); // extra price tiers as { id, costInput }
+  const [seasonMode, setSeasonMode] = useState('none'); // 'none', 'new' or 'existing'
+  const [seasonInput, setSeasonInput] = useState(''); // new season name or existing season ID
+  const [nameEntryMode, setNameEntryMode] = useState('organizer'); // 'organizer' or 'claim'
+  const [claimLimitInput, setClaimLimitInput] = useState(''); // blank for no per-person limit
   
   // Custom dropdown state
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -61,16 +115,71 @@ function GameSelector({ onGameSelect }) {
     };
   }, []);
 
+  // A settings problem clears as soon as the organizer changes anything, so it never outlives the fix
+  useEffect(() => {
+    setFormError(null);
+  }, [
+    contestType, selectedEventId, slateEventIds, costInputValue, currency, payoutMode, customCheckpoints,
+    customOvertimePercentage, scoreChangeInput, reversePercentage, neighborPercentage, unallocatedPolicy,
+    overtimePolicy, extraBoards, seasonMode, seasonInput, nameEntryMode, claimLimitInput
+  ]);
+
   const handleGameChange = (eventId) => {
+    if (contestType === 'slate') {
+      // Slates pick several games, so the menu stays open
+      setSlateEventIds(slateEventIds.includes(eventId)
+        ? slateEventIds.filter(id => id !== eventId)
+        : [...slateEventIds, eventId]);
+      return;
+    }
     setSelectedEventId(eventId);
     setIsDropdownOpen(false);
   };
 
+  // Select or clear every game that kicks off at the same time (e.g. all 1pm games)
+  const toggleKickoffGroup = (groupGames) => {
+    const groupIds = groupGames.map(game => game.id);
+    const allSelected = groupIds.every(id => slateEventIds.includes(id));
+    setSlateEventIds(allSelected
+      ? slateEventIds.filter(id => !groupIds.includes(id))
+      : [...slateEventIds, ...groupIds.filter(id => !slateEventIds.includes(id))]);
+  };
+
+  const getKickoffGroups = () => {
+    const groups = [];
+    games.forEach(game => {
+      const group = groups.find(item => item.date === game.date);
+      if (group) {
+        group.games.push(game);
+      } else {
+        groups.push({ date: game.date, games: [game] });
+      }
+    });
+    return groups;
+  };
+
+  const handleContestTypeChange = (type) => {
+    setContestType(type);
+    if (type === 'slate') {
+      // Slates pay per game quarter from one board, so every-score payouts and per-quarter numbers don't apply
+      if (payoutMode === 'everyScore') {
+        handlePayoutModeChange('standard');
+      }
+      setDigitMode(DIGIT_MODES.FIXED);
+      setSlateEventIds(selectedEventId ? [selectedEventId] : []);
+    }
+  };
+
   const toggleDropdown = () => {
     setIsDropdownOpen(!isDropdownOpen);
   };
 
   const getSelectedGameText = () => {
+    if (contestType === 'slate') {
+      return slateEventIds.length > 0
+        ? `${slateEventIds.length} game${slateEventIds.length === 1 ? '' : 's'} selected`
+        : 'Select games...';
+    }
     if (!selectedEventId) return 'Select a game...';
     const selectedGame = games.find(game => game.id === selectedEventId);
     return selectedGame ? formatGameDisplay(selectedGame, true) : 'Select a game...';
@@ -113,10 +222,10 @@ function GameSelector({ onGameSelect }) {
   const handleSquareCostChange = (event) => {
     const inputValue = event.target.value;
     
-    // Only allow digits (no decimals, no negative signs, no letters)
-    const numbersOnlyRegex = /^\d*$/;
+    // Only allow digits with up to two decimal places (no negative signs, no letters)
+    const priceRegex = /^\d*(\.\d{0,2})?$/;
     
-    if (!numbersOnlyRegex.test(inputValue)) {
+    if (!priceRegex.test(inputValue)) {
       // If input contains invalid characters, don't update anything
       return;
     }
@@ -128,12 +237,13 @@ function GameSelector({ onGameSelect }) {
       return;
     }
     
-    // Remove leading zeros and convert to number
-    const numericValue = parseInt(inputValue, 10);
+    // Remove leading zeros (keeping one before the decimal point) and convert to number
+    const cleanedValue = inputValue.replace(/^0+(?=\d)/, '').replace(/^\./, '0.');
+    const numericValue = parseFloat(cleanedValue);
     
-    // If the result is 0 or NaN, handle appropriately
+    // If the result is 0 or NaN, keep what was typed (e.g. "0." on the way to "0.50")
     if (isNaN(numericValue) || numericValue === 0) {
-      setCostInputValue('0');
+      setCostInputValue(cleanedValue || '0');
       setCostPerSquare(0);
       return;
     }
@@ -144,73 +254,289 @@ function GameSelector({ onGameSelect }) {
       return;
     }
     
-    // Convert back to string without leading zeros
-    const cleanedValue = numericValue.toString();
-    
     // Update both the display value and numeric value
     setCostInputValue(cleanedValue);
     setCostPerSquare(numericValue);
   };
 
+  // Extra boards run on the same game at their own price, with the same payout structure
+  const addExtraBoard = () => {
+    setExtraBoards([...extraBoards, { id: `tier-${Date.now()}`, costInput: '' }]);
+  };
+
+  const handleExtraBoardCostChange = (id, value) => {
+    // Same rules as the main price: up to two decimal places and no more than 1000
+    if (!/^\d*(\.\d{0,2})?$/.test(value) || parseFloat(value) > 1000) {
+      return;
+    }
+    setExtraBoards(extraBoards.map(board => (board.id === id ? { ...board, costInput: value } : board)));
+  };
+
+  const removeExtraBoard = (id) => {
+    setExtraBoards(extraBoards.filter(board => board.id !== id));
+  };
+
   const handlePayoutModeChange = (mode) => {
-    setPayoutMode(mode);
-    if (mode === 'standard') {
-      // Reset to equal distribution
-      setCustomPayouts({
-        quarter1: 25,
-        quarter2: 25,
-        quarter3: 25,
-        quarter4: 25
-      });
+    if (mode === 'custom' && payoutMode !== 'custom') {
+      // Start the custom list from the preset that was selected
+      const preset = PAYOUT_PRESETS[payoutMode] || PAYOUT_PRESETS.standard;
+      setCustomCheckpoints(preset.checkpoints.map((checkpoint, index, checkpoints) => ({
+        id: `custom-${index + 1}`,
+        label: checkpoint.label,
+        period: checkpoint.period,
+        percentage: Math.floor((100 * (checkpoint.weight || 1)) /
+          checkpoints.reduce((sum, item) => sum + (item.weight || 1), 0))
+      })));
+      setCustomOvertimePercentage(0);
+    }
+    if ((mode === 'everyScore' || mode === 'timeHeld') && overtimePolicy === OVERTIME_POLICIES.SEPARATE) {
+      // OT scores already pay out like any other score, and OT minutes like any other minute
+      setOvertimePolicy(OVERTIME_POLICIES.FINAL);
     }
+    setPayoutMode(mode);
+  };
+
+  const handleCustomCheckpointChange = (id, field, value) => {
+    setCustomCheckpoints(customCheckpoints.map(checkpoint =>
+      checkpoint.id === id ? { ...checkpoint, [field]: value } : checkpoint
+    ));
+  };
+
+  const addCustomCheckpoint = () => {
+    const nextNumber = customCheckpoints.reduce((max, checkpoint) =>
+      Math.max(max, parseInt(checkpoint.id.replace('custom-', ''), 10) || 0), 0) + 1;
+    setCustomCheckpoints([
+      ...customCheckpoints,
+      { id: `custom-${nextNumber}`, label: 'Final', period: 4, percentage: 0 }
+    ]);
   };
 
-  const handleCustomPayoutChange = (quarter, value) => {
-    const newPayouts = { ...customPayouts };
-    newPayouts[quarter] = value;
-    setCustomPayouts(newPayouts);
+  const removeCustomCheckpoint = (id) => {
+    setCustomCheckpoints(customCheckpoints.filter(checkpoint => checkpoint.id !== id));
+  };
+
+  // Payout lines for the current configuration: each checkpoint, plus the OT prize when it is paid separately
+  const getPayoutLines = () => {
+    const includeOvertime = overtimePolicy === OVERTIME_POLICIES.SEPARATE;
+
+    if (payoutMode === 'everyScore') {
+      return EVERY_SCORE_CHECKPOINTS.map(checkpoint => ({ ...checkpoint }));
+    }
+
+    if (payoutMode === 'timeHeld') {
+      return TIME_HELD_LINES.map(line => ({ ...line }));
+    }
+
+    if (payoutMode === 'custom') {
+      const lines = customCheckpoints.map(checkpoint => ({ ...checkpoint }));
+      if (includeOvertime) {
+        lines.push({ id: 'overtime', label: 'OT', percentage: customOvertimePercentage });
+      }
+      return lines;
+    }
+
+    // Presets split the pot by weight, with a separate OT prize weighted like a single checkpoint
+    const checkpoints = PAYOUT_PRESETS[payoutMode].checkpoints;
+    const weights = checkpoints.map(checkpoint => checkpoint.weight || 1);
+    if (includeOvertime) {
+      weights.push(1);
+    }
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const lines = checkpoints.map((checkpoint, index) => ({
+      id: checkpoint.id,
+      label: checkpoint.label,
+      period: checkpoint.period,
+      percentage: (weights[index] * 100) / totalWeight
+    }));
+    if (includeOvertime) {
+      lines.push({ id: 'overtime', label: 'OT', percentage: 100 / totalWeight });
+    }
+    return lines;
   };
 
   const getTotalPercentage = () => {
-    return Object.values(customPayouts).reduce((sum, value) => sum + value, 0);
+    return getPayoutLines().reduce((sum, line) => sum + line.percentage, 0);
   };
 
-  const getTotalPot = () => {
-    return costPerSquare * 100;
+  const getTotalPot = (cost = costPerSquare) => {
+    return fromCents(toCents(cost) * getBoardLayout(boardSize).totalSquares);
   };
   
-  const getQuarterPayout = (quarter) => {
-    const percentage = payoutMode === 'standard' ? 25 : customPayouts[quarter];
-    return Math.round((getTotalPot() * percentage) / 100);
+  // Slates split the pot evenly between their games; this is the first (largest) share
+  const getGamePot = (cost = costPerSquare) => {
+    const gameCount = contestType === 'slate' ? Math.max(1, slateEventIds.length) : 1;
+    return fromCents(allocateCents(toCents(getTotalPot(cost)), Array(gameCount).fill(1))[0]);
+  };
+  
+  // Cent-accurate split of one game's pot; every-score contests always leave the rest to the final
+  const getPotAllocation = (lines = getPayoutLines(), cost = costPerSquare) => {
+    const policy = payoutMode === 'everyScore' ? UNALLOCATED_POLICIES.FINAL : unallocatedPolicy;
+    return allocatePot(getGamePot(cost), lines, policy);
+  };
+  
+  const getLinePayout = (line) => {
+    const allocated = getPotAllocation().lines.find(item => item.id === line.id);
+    return allocated ? allocated.amount : 0;
   };
 
   const handleGoClick = async () => {
-    // Validate event ID
-    const eventValidation = validateEventId(selectedEventId);
-    if (!eventValidation.isValid) {
-      setError(eventValidation.message);
+    // Validate event ID; a slate validates every game and keeps the first as its eventId
+    const eventIds = contestType === 'slate' ? slateEventIds : [selectedEventId];
+    if (contestType === 'slate' && eventIds.length < 2) {
+      setFormError('Pick at least two games for a slate');
       return;
     }
+    for (const eventId of eventIds) {
+      const validation = validateEventId(eventId);
+      if (!validation.isValid) {
+        setFormError(validation.message);
+        return;
+      }
+    }
+    const eventValidation = validateEventId(eventIds[0]);
 
     // Validate cost per square
     const costValidation = validateCostPerSquare(costPerSquare);
     if (!costValidation.isValid) {
-      setError(costValidation.message);
+      setFormError(costValidation.message);
+      return;
+    }
+
+    // Validate payout checkpoints
+    if (payoutMode === 'custom' && getTotalPercentage() > 100) {
+      setFormError('Payouts cannot exceed 100% of the pot');
+      return;
+    }
+
+    // Time-held contests have no checkpoints to validate
+    const payoutLines = getPayoutLines();
+    const checkpointValidation = payoutMode === 'timeHeld'
+      ? { isValid: true, value: [] }
+      : validateCheckpoints(payoutLines.filter(line => line.id !== 'overtime'));
+    if (!checkpointValidation.isValid) {
+      setFormError(checkpointValidation.message);
+      return;
+    }
+
+    const scoreChangeAmount = fromCents(toCents(scoreChangeInput));
+    if (payoutMode === 'everyScore' && (!(scoreChangeAmount > 0) || scoreChangeAmount > getTotalPot())) {
+      setFormError('The amount per score must be more than zero and no more than the total pot');
+      return;
+    }
+
+    // Every board shares the payout structure; extra boards scale the per-score amount to their price
+    const boardCosts = [costValidation.value];
+    for (const board of extraBoards) {
+      const boardCostValidation = validateCostPerSquare(board.costInput);
+      if (!boardCostValidation.isValid) {
+        setFormError(boardCostValidation.message);
+        return;
+      }
+      boardCosts.push(boardCostValidation.value);
+    }
+
+    // Season contests need a name for a new season or the ID of an existing one
+    const seasonValidation = seasonMode === 'new' ? validateSeasonName(seasonInput)
+      : seasonMode === 'existing' ? validateSeasonId(seasonInput)
+      : null;
+    if (seasonValidation && !seasonValidation.isValid) {
+      setFormError(seasonValidation.message);
       return;
     }
 
-    // Calculate quarter prizes
-    const quarterPrizes = {
-      quarter1: getQuarterPayout('quarter1'),
-      quarter2: getQuarterPayout('quarter2'),
-      quarter3: getQuarterPayout('quarter3'),
-      quarter4: getQuarterPayout('quarter4'),
-      totalPot: getTotalPot(),
-      payoutMode: payoutMode
+    const overtimeLine = payoutLines.find(line => line.id === 'overtime');
+    const timeHeldLine = payoutLines.find(line => line.id === 'timeHeld');
+    const buildQuarterPrizes = (cost) => {
+      const allocation = getPotAllocation([
+        ...checkpointValidation.value,
+        ...(overtimeLine ? [overtimeLine] : []),
+        ...(timeHeldLine ? [timeHeldLine] : [])
+      ], cost);
+      const checkpoints = allocation.lines.filter(line => line.id !== 'overtime' && line.id !== 'timeHeld');
+      const allocatedOvertime = allocation.lines.find(line => line.id === 'overtime');
+      const allocatedTimeHeld = allocation.lines.find(line => line.id === 'timeHeld');
+
+      // Calculate prizes; quarter1-quarter4 hold the total paid at the end of each quarter
+      const quarterPrizes = {
+        quarter1: 0,
+        quarter2: 0,
+        quarter3: 0,
+        quarter4: 0,
+        overtime: allocatedOvertime ? allocatedOvertime.amount : 0,
+        overtimePercentage: overtimeLine ? overtimeLine.percentage : 0,
+        overtimePolicy: overtimePolicy,
+        checkpoints: checkpoints,
+        scoreChangeAmount: payoutMode === 'everyScore'
+          ? fromCents(Math.round((toCents(scoreChangeAmount) * toCents(cost)) / toCents(costValidation.value)))
+          : 0,
+        timeHeldAmount: allocatedTimeHeld ? allocatedTimeHeld.amount : 0,
+        timeHeldPercentage: timeHeldLine ? timeHeldLine.percentage : 0,
+        secondaryPayouts: {
+          reversePercentage: reversePercentage,
+          neighborPercentage: neighborPercentage
+        },
+        unallocatedPolicy: allocation.policy,
+        houseAmount: allocation.houseAmount,
+        refundAmount: allocation.refundAmount,
+        totalPot: getTotalPot(cost),
+        payoutMode: payoutMode
+      };
+      checkpoints.forEach(checkpoint => {
+        const key = `quarter${checkpoint.period}`;
+        quarterPrizes[key] = fromCents(toCents(quarterPrizes[key]) + toCents(checkpoint.amount));
+      });
+      return quarterPrizes;
     };
 
     try {
-      const result = await createSquaresGame(eventValidation.value, costValidation.value, quarterPrizes);
+      const settings = {
+        digitMode: digitMode,
+        currency: currency,
+        boardSize: boardSize,
+        axisOrientation: axisOrientation,
+        ...(nameEntryMode === 'claim' && {
+          claimSquares: true,
+          claimLimit: parseInt(claimLimitInput, 10) > 0 ? parseInt(claimLimitInput, 10) : null
+        })
+      };
+
+      let seasonId = seasonMode === 'existing' ? seasonValidation.value : null;
+      if (seasonMode === 'new') {
+        const season = await seasonAPI.createSeason(seasonValidation.value);
+        seasonId = season.id || season._id || season.seasonId || season.documentId;
+        if (!seasonId) {
+          setFormError('Failed to create season. Please try again.');
+          return;
+        }
+        const seasonToken = getResponseAdminToken(season);
+        if (seasonToken) {
+          storeAdminToken(getSeasonTokenKey(seasonId), seasonToken);
+        }
+      }
+      if (seasonId) {
+        settings.seasonId = seasonId;
+      }
+
+      const quarterPrizes = buildQuarterPrizes(costValidation.value);
+      let boards = [];
+      if (boardCosts.length > 1) {
+        boards = boardCosts.map((cost, index) => ({
+          id: `board-${index + 1}`,
+          label: formatAmount(cost, currency),
+          costPerSquare: cost,
+          quarterPrizes: index === 0 ? quarterPrizes : buildQuarterPrizes(cost)
+        }));
+      }
+
+      const result = await createSquaresGame(
+        eventValidation.value,
+        costValidation.value,
+        quarterPrizes,
+        settings,
+        boards,
+        eventIds.length > 1 ? eventIds : []
+      );
       
       // Extract the contest ID from the response
       const contestId = result.id || result._id || result.contestId || result.documentId;
@@ -220,9 +546,29 @@ function GameSelector({ onGameSelect }) {
         return;
       }
       
+      // Only this device and the admin link can edit the contest from here on
+      const adminToken = getResponseAdminToken(result);
+      if (adminToken) {
+        storeAdminToken(contestId, adminToken);
+      }
+      
+      // Add the contest to the season as its next week. The contest already exists by now, so
+      // a failure here is passed on as a notice rather than inviting a retry that would duplicate it
+      let notice = null;
+      if (seasonId) {
+        try {
+          await seasonAPI.addContest(seasonId, contestId, getAdminToken(getSeasonTokenKey(seasonId)));
+        } catch (seasonError) {
+          reportError(seasonError, 'network', { operation: 'addContestToSeason', contestId, seasonId });
+          notice = seasonError.type === ERROR_TYPES.AUTH
+            ? "Contest created but couldn't be added to the season. Only the device that created the season can add contests to it."
+            : "Contest created but couldn't be added to the season.";
+        }
+      }
+      
       // Call the parent callback with the result and contest ID
       if (onGameSelect) {
-        onGameSelect(eventValidation.value, costValidation.value, contestId);
+        onGameSelect(eventValidation.value, costValidation.value, contestId, notice);
       }
     } catch (error) {
       setError('Failed to create contest. Please try again.');
@@ -275,7 +621,29 @@ function GameSelector({ onGameSelect }) {
             {isDropdownOpen && (
               <div className="custom-dropdown-menu">
                 <div className="dropdown-options">
-                                     {games.map(game => {
+                  {contestType === 'slate' && getKickoffGroups().map(group => (
+                    <div key={group.date} className="kickoff-group">
+                      <button
+                        type="button"
+                        className="kickoff-group-button"
+                        onClick={() => toggleKickoffGroup(group.games)}
+                      >
+                        {group.games.every(game => slateEventIds.includes(game.id)) ? 'Clear' : 'Select'} all {formatGameDisplay(group.games[0], false).time} games
+                      </button>
+                      {group.games.map(game => (
+                        <button
+                          key={game.id}
+                          type="button"
+                          className={`dropdown-option ${slateEventIds.includes(game.id) ? 'selected' : ''}`}
+                          onClick={() => handleGameChange(game.id)}
+                          aria-pressed={slateEventIds.includes(game.id)}
+                        >
+                          <div className="game-teams">{formatGameDisplay(game, false).teams}</div>
+                        </button>
+                      ))}
+                    </div>
+                  ))}
+                                     {contestType === 'single' && games.map(game => {
                      const display = formatGameDisplay(game, false);
                      return (
                        <button
@@ -293,25 +661,50 @@ function GameSelector({ onGameSelect }) {
               </div>
             )}
           </div>
+          <div className="payout-mode-selector contest-type-selector">
+            <button 
+              className={`payout-mode-btn ${contestType === 'single' ? 'active' : ''}`}
+              onClick={() => handleContestTypeChange('single')}
+            >
+              Single Game
+            </button>
+            <button 
+              className={`payout-mode-btn ${contestType === 'slate' ? 'active' : ''}`}
+              onClick={() => handleContestTypeChange('slate')}
+            >
+              Multi-Game Slate
+            </button>
+          </div>
         </div>
         <div className="cost-section">
           <label htmlFor="squareCost" className="cost-label">
-            Cost per square
+            {isPointsOnly(currency) ? 'Points per square' : 'Cost per square'}
           </label>
           <div className="cost-input-container">
             <div className="cost-input-wrapper">
-              <span className="currency-symbol">$</span>
+              {getCurrencySymbol(currency) && <span className="currency-symbol">{getCurrencySymbol(currency)}</span>}
                               <input
                   type="number"
                   id="squareCost"
                   value={costInputValue}
                   onChange={handleSquareCostChange}
-                  min="1"
+                  min="0.01"
                   max="1000"
+                  step="0.01"
                   className="cost-input"
                   placeholder="10"
                 />
             </div>
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="currency-select"
+              aria-label="Currency"
+            >
+              {CURRENCY_OPTIONS.map(option => (
+                <option key={option.code} value={option.code}>{option.label}</option>
+              ))}
+            </select>
           </div>
         </div>
       </div>
@@ -320,11 +713,28 @@ function GameSelector({ onGameSelect }) {
       <div className="payout-section">
         <h3 className="payout-title">Prize Distribution</h3>
         <div className="payout-mode-selector">
+          {Object.entries(PAYOUT_PRESETS).map(([mode, preset]) => (
+            <button 
+              key={mode}
+              className={`payout-mode-btn ${payoutMode === mode ? 'active' : ''}`}
+              onClick={() => handlePayoutModeChange(mode)}
+            >
+              {preset.name}
+            </button>
+          ))}
+          {contestType !== 'slate' && (
+            <button 
+              className={`payout-mode-btn ${payoutMode === 'everyScore' ? 'active' : ''}`}
+              onClick={() => handlePayoutModeChange('everyScore')}
+            >
+              Every Score
+            </button>
+          )}
           <button 
-            className={`payout-mode-btn ${payoutMode === 'standard' ? 'active' : ''}`}
-            onClick={() => handlePayoutModeChange('standard')}
+            className={`payout-mode-btn ${payoutMode === 'timeHeld' ? 'active' : ''}`}
+            onClick={() => handlePayoutModeChange('timeHeld')}
           >
-            Standard (Equal)
+            Time Held
           </button>
           <button 
             className={`payout-mode-btn ${payoutMode === 'custom' ? 'active' : ''}`}
@@ -333,12 +743,252 @@ function GameSelector({ onGameSelect }) {
             Custom
           </button>
         </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Board Size</span>
+          <div className="payout-mode-selector">
+            {BOARD_SIZE_OPTIONS.map(option => (
+              <button 
+                key={option.size}
+                className={`payout-mode-btn ${boardSize === option.size ? 'active' : ''}`}
+                onClick={() => setBoardSize(option.size)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {boardSize !== BOARD_SIZES.STANDARD && (
+            <span className="overtime-note">Header cells with two numbers win on either digit.</span>
+          )}
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Board Axes</span>
+          <div className="payout-mode-selector">
+            <button 
+              className={`payout-mode-btn ${axisOrientation === AXIS_ORIENTATIONS.HOME_COLUMNS ? 'active' : ''}`}
+              onClick={() => setAxisOrientation(AXIS_ORIENTATIONS.HOME_COLUMNS)}
+            >
+              Home Across the Top
+            </button>
+            <button 
+              className={`payout-mode-btn ${axisOrientation === AXIS_ORIENTATIONS.HOME_ROWS ? 'active' : ''}`}
+              onClick={() => setAxisOrientation(AXIS_ORIENTATIONS.HOME_ROWS)}
+            >
+              Home Down the Side
+            </button>
+          </div>
+          <span className="overtime-note">Match the board you print, so each name lands on the same square.</span>
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Names</span>
+          <div className="payout-mode-selector">
+            <button 
+              className={`payout-mode-btn ${nameEntryMode === 'organizer' ? 'active' : ''}`}
+              onClick={() => setNameEntryMode('organizer')}
+            >
+              I'll Enter Names
+            </button>
+            <button 
+              className={`payout-mode-btn ${nameEntryMode === 'claim' ? 'active' : ''}`}
+              onClick={() => setNameEntryMode('claim')}
+            >
+              Participants Claim Squares
+            </button>
+          </div>
+          {nameEntryMode === 'claim' && (
+            <input
+              type="number"
+              value={claimLimitInput}
+              min="1"
+              max={getBoardLayout(boardSize).totalSquares}
+              onChange={(e) => setClaimLimitInput(e.target.value)}
+              className="checkpoint-label-input season-input"
+              placeholder="Max squares per person (optional)"
+              aria-label="Max squares per person"
+            />
+          )}
+          {nameEntryMode === 'claim' && (
+            <span className="overtime-note">
+              Participants tap open squares from the participant link. You can still release or reassign squares before starting.
+            </span>
+          )}
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Season</span>
+          <div className="payout-mode-selector">
+            <button 
+              className={`payout-mode-btn ${seasonMode === 'none' ? 'active' : ''}`}
+              onClick={() => setSeasonMode('none')}
+            >
+              Single Game
+            </button>
+            <button 
+              className={`payout-mode-btn ${seasonMode === 'new' ? 'active' : ''}`}
+              onClick={() => { setSeasonMode('new'); setSeasonInput(''); }}
+            >
+              New Season
+            </button>
+            <button 
+              className={`payout-mode-btn ${seasonMode === 'existing' ? 'active' : ''}`}
+              onClick={() => { setSeasonMode('existing'); setSeasonInput(''); }}
+            >
+              Add to Season
+            </button>
+          </div>
+          {seasonMode !== 'none' && (
+            <input
+              type="text"
+              value={seasonInput}
+              maxLength={seasonMode === 'new' ? 50 : 100}
+              onChange={(e) => setSeasonInput(e.target.value)}
+              className="checkpoint-label-input season-input"
+              placeholder={seasonMode === 'new' ? 'Season name' : 'Season ID'}
+              aria-label={seasonMode === 'new' ? 'Season name' : 'Season ID'}
+            />
+          )}
+          {seasonMode !== 'none' && (
+            <span className="overtime-note">
+              Season games reuse last week's names and count toward the season standings.
+            </span>
+          )}
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Extra Boards</span>
+          {extraBoards.map(board => (
+            <div key={board.id} className="extra-board-row">
+              <div className="cost-input-wrapper">
+                {getCurrencySymbol(currency) && <span className="currency-symbol">{getCurrencySymbol(currency)}</span>}
+                <input
+                  type="number"
+                  value={board.costInput}
+                  onChange={(e) => handleExtraBoardCostChange(board.id, e.target.value)}
+                  min="0.01"
+                  max="1000"
+                  step="0.01"
+                  className="cost-input"
+                  placeholder="25"
+                  aria-label={isPointsOnly(currency) ? 'Points per square' : 'Cost per square'}
+                />
+              </div>
+              <span className="quarter-amount">
+                Pot: {formatAmount(getTotalPot(parseFloat(board.costInput) || 0), currency)}
+              </span>
+              <button
+                type="button"
+                className="checkpoint-remove-btn"
+                onClick={() => removeExtraBoard(board.id)}
+                aria-label="Remove board"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          {extraBoards.length < MAX_BOARDS - 1 && (
+            <button type="button" className="checkpoint-add-btn" onClick={addExtraBoard}>
+              + Add Board at Another Price
+            </button>
+          )}
+          {extraBoards.length > 0 && (
+            <span className="overtime-note">
+              Every board uses this game and these payout rules, with its own names and numbers. One link covers them all.
+            </span>
+          )}
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Board Numbers</span>
+          <div className="payout-mode-selector">
+            <button 
+              className={`payout-mode-btn ${digitMode === DIGIT_MODES.FIXED ? 'active' : ''}`}
+              onClick={() => setDigitMode(DIGIT_MODES.FIXED)}
+            >
+              Same All Game
+            </button>
+            {contestType !== 'slate' && (
+              <button 
+                className={`payout-mode-btn ${digitMode === DIGIT_MODES.PER_QUARTER ? 'active' : ''}`}
+                onClick={() => setDigitMode(DIGIT_MODES.PER_QUARTER)}
+              >
+                New Each Quarter
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Overtime</span>
+          <div className="payout-mode-selector">
+            <button 
+              className={`payout-mode-btn ${overtimePolicy === OVERTIME_POLICIES.FINAL ? 'active' : ''}`}
+              onClick={() => setOvertimePolicy(OVERTIME_POLICIES.FINAL)}
+            >
+              Counts Toward Final
+            </button>
+            {payoutMode !== 'everyScore' && payoutMode !== 'timeHeld' && (
+              <button 
+                className={`payout-mode-btn ${overtimePolicy === OVERTIME_POLICIES.SEPARATE ? 'active' : ''}`}
+                onClick={() => setOvertimePolicy(OVERTIME_POLICIES.SEPARATE)}
+              >
+                Separate OT Prize
+              </button>
+            )}
+            <button 
+              className={`payout-mode-btn ${overtimePolicy === OVERTIME_POLICIES.IGNORE ? 'active' : ''}`}
+              onClick={() => setOvertimePolicy(OVERTIME_POLICIES.IGNORE)}
+            >
+              Not Counted
+            </button>
+          </div>
+          {overtimePolicy === OVERTIME_POLICIES.SEPARATE && (
+            <span className="overtime-note">If the game ends in regulation, the OT prize goes to the final winner.</span>
+          )}
+        </div>
+        <div className="digit-mode-section">
+          <span className="digit-mode-label">Side Prizes</span>
+          <div className="side-prize-sliders">
+            <div className="quarter-slider">
+              <label className="quarter-label">
+                Reverse Square
+                <span className="quarter-percentage">{reversePercentage}%</span>
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="50"
+                value={reversePercentage}
+                onChange={(e) => setReversePercentage(parseInt(e.target.value))}
+                className="payout-slider"
+              />
+            </div>
+            <div className="quarter-slider">
+              <label className="quarter-label">
+                Touching Squares
+                <span className="quarter-percentage">{neighborPercentage}%</span>
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="50"
+                value={neighborPercentage}
+                onChange={(e) => setNeighborPercentage(parseInt(e.target.value))}
+                className="payout-slider"
+              />
+            </div>
+          </div>
+          {(reversePercentage > 0 || neighborPercentage > 0) && (
+            <span className="overtime-note">
+              Taken from each prize: the reverse square swaps the home and away digits, and the touching squares split their share evenly.
+            </span>
+          )}
+        </div>
         
         {costPerSquare > 0 && (
           <div className="payout-preview">
             <div className="total-pot">
-              Total Pot: <span className="pot-amount">${getTotalPot().toLocaleString()}</span>
+              Total Pot: <span className="pot-amount">{formatAmount(getTotalPot(), currency)}</span>
             </div>
+            {contestType === 'slate' && slateEventIds.length > 1 && (
+              <span className="overtime-note">
+                Split evenly across {slateEventIds.length} games: {formatAmount(getGamePot(), currency)} per game, paid out below for each game.
+              </span>
+            )}
             
             {payoutMode === 'custom' && (
               <div className="custom-payout-controls">
@@ -348,38 +998,134 @@ function GameSelector({ onGameSelect }) {
                     {getTotalPercentage()}%
                   </span>
                   <span className="remaining-amount">
-                    (${Math.round((getTotalPot() * (100 - getTotalPercentage())) / 100).toLocaleString()} remaining)
+                    ({formatAmount(getPotAllocation().unallocated, currency)} unallocated)
                   </span>
                 </div>
-                <div className="quarter-sliders">
-                  {['quarter1', 'quarter2', 'quarter3', 'quarter4'].map((quarter, index) => (
-                    <div key={quarter} className="quarter-slider">
-                      <label className="quarter-label">
-                        Q{index + 1}
-                        <span className="quarter-percentage">{customPayouts[quarter]}%</span>
-                        <span className="quarter-amount">${getQuarterPayout(quarter).toLocaleString()}</span>
-                      </label>
+                {getPotAllocation().unallocated > 0 && (
+                  <div className="digit-mode-section">
+                    <span className="digit-mode-label">Unallocated Money</span>
+                    <div className="payout-mode-selector">
+                      <button 
+                        className={`payout-mode-btn ${unallocatedPolicy === UNALLOCATED_POLICIES.FINAL ? 'active' : ''}`}
+                        onClick={() => setUnallocatedPolicy(UNALLOCATED_POLICIES.FINAL)}
+                      >
+                        Add to Final
+                      </button>
+                      <button 
+                        className={`payout-mode-btn ${unallocatedPolicy === UNALLOCATED_POLICIES.HOUSE ? 'active' : ''}`}
+                        onClick={() => setUnallocatedPolicy(UNALLOCATED_POLICIES.HOUSE)}
+                      >
+                        House / Charity
+                      </button>
+                      <button 
+                        className={`payout-mode-btn ${unallocatedPolicy === UNALLOCATED_POLICIES.REFUND ? 'active' : ''}`}
+                        onClick={() => setUnallocatedPolicy(UNALLOCATED_POLICIES.REFUND)}
+                      >
+                        Refund Players
+                      </button>
+                    </div>
+                  </div>
+                )}
+                <div className="checkpoint-editor">
+                  {getPayoutLines().map(line => (
+                    <div key={line.id} className="quarter-slider">
+                      {line.id === 'overtime' ? (
+                        <label className="quarter-label">
+                          OT
+                          <span className="quarter-percentage">{line.percentage}%</span>
+                          <span className="quarter-amount">{formatAmount(getLinePayout(line), currency)}</span>
+                        </label>
+                      ) : (
+                        <div className="checkpoint-fields">
+                          <input
+                            type="text"
+                            value={line.label}
+                            maxLength={20}
+                            onChange={(e) => handleCustomCheckpointChange(line.id, 'label', e.target.value)}
+                            className="checkpoint-label-input"
+                            aria-label="Checkpoint label"
+                          />
+                          <select
+                            value={line.period}
+                            onChange={(e) => handleCustomCheckpointChange(line.id, 'period', parseInt(e.target.value))}
+                            className="checkpoint-period-select"
+                            aria-label="Pays at"
+                          >
+                            {CHECKPOINT_PERIODS.map(option => (
+                              <option key={option.period} value={option.period}>{option.label}</option>
+                            ))}
+                          </select>
+                          <span className="quarter-percentage">{line.percentage}%</span>
+                          <span className="quarter-amount">{formatAmount(getLinePayout(line), currency)}</span>
+                          <button
+                            type="button"
+                            className="checkpoint-remove-btn"
+                            onClick={() => removeCustomCheckpoint(line.id)}
+                            disabled={customCheckpoints.length <= 1}
+                            aria-label="Remove checkpoint"
+                          >
+                            ×
+                          </button>
+                        </div>
+                      )}
                       <input
                         type="range"
                         min="0"
                         max="100"
-                        value={customPayouts[quarter]}
-                        onChange={(e) => handleCustomPayoutChange(quarter, parseInt(e.target.value))}
+                        value={line.percentage}
+                        onChange={(e) => line.id === 'overtime'
+                          ? setCustomOvertimePercentage(parseInt(e.target.value))
+                          : handleCustomCheckpointChange(line.id, 'percentage', parseInt(e.target.value))}
                         className="payout-slider"
                       />
                     </div>
                   ))}
                 </div>
+                {customCheckpoints.length < 10 && (
+                  <button type="button" className="checkpoint-add-btn" onClick={addCustomCheckpoint}>
+                    + Add Checkpoint
+                  </button>
+                )}
+              </div>
+            )}
+            
+            {payoutMode === 'everyScore' && (
+              <div className="custom-payout-controls">
+                <div className="every-score-amount">
+                  <label htmlFor="scoreChangeAmount" className="quarter-label">Paid on every score</label>
+                  <div className="cost-input-wrapper">
+                    {getCurrencySymbol(currency) && <span className="currency-symbol">{getCurrencySymbol(currency)}</span>}
+                    <input
+                      type="number"
+                      id="scoreChangeAmount"
+                      value={scoreChangeInput}
+                      onChange={(e) => setScoreChangeInput(e.target.value)}
+                      min="0.01"
+                      step="0.01"
+                      max={getTotalPot()}
+                      className="cost-input"
+                    />
+                  </div>
+                </div>
+                <span className="overtime-note">
+                  Every change in the score pays the square holding the new digits. The final winner gets whatever is left of the pot.
+                </span>
               </div>
             )}
             
-            {payoutMode === 'standard' && (
+            {payoutMode === 'timeHeld' && (
+              <span className="overtime-note">
+                Each square is paid its share of the pot for every minute of game clock it held the winning numbers.
+              </span>
+            )}
+            
+            {payoutMode !== 'custom' && payoutMode !== 'everyScore' && (
               <div className="standard-payout-display">
                 <div className="quarter-payouts">
-                  {[1, 2, 3, 4].map(quarter => (
-                    <div key={quarter} className="quarter-payout">
-                      <span className="quarter-name">Q{quarter}</span>
-                      <span className="quarter-amount">${getQuarterPayout(`quarter${quarter}`).toLocaleString()}</span>
+                  {getPayoutLines().map(line => (
+                    <div key={line.id} className="quarter-payout">
+                      <span className="quarter-name">{line.label}</span>
+                      <span className="quarter-amount">{formatAmount(getLinePayout(line), currency)}</span>
                     </div>
                   ))}
                 </div>
@@ -389,12 +1135,15 @@ function GameSelector({ onGameSelect }) {
         )}
       </div>
 
+      {formError && <div className="error-text form-error">{formError}</div>}
+
       <button 
         onClick={handleGoClick}
         disabled={
-          !selectedEventId || 
+          (contestType === 'slate' ? slateEventIds.length < 2 : !selectedEventId) || 
           !costPerSquare || 
           costPerSquare <= 0 ||
+          extraBoards.some(board => !(parseFloat(board.costInput) > 0)) ||
           (payoutMode === 'custom' && getTotalPercentage() > 100)
         }
         className="go-button"
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import PanelModal from './PanelModal';
+import { formatAmount } from '../utils/currency';
+
+// Describe how far a square is from winning, e.g. 'Home +3, Away +7'
+const describeDistance = (square, homeTeamName, awayTeamName) => {
+  if (square.homePointsNeeded === 0 && square.awayPointsNeeded === 0) {
+    return 'Winning right now';
+  }
+
+  return [
+    square.homePointsNeeded > 0 && `${homeTeamName} +${square.homePointsNeeded}`,
+    square.awayPointsNeeded > 0 && `${awayTeamName} +${square.awayPointsNeeded}`
+  ].filter(Boolean).join(', ') + ' away';
+};
+
+// Personal panel: pick your name to outline your squares and see how they are doing.
+// showDistance is off once the quarter-by-quarter race no longer applies (final games and slates).
+function MySquares({ playerNames, player, onPlayerChange, summary, showDistance, homeTeamName, awayTeamName, currency }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <>
+      <button type="button" className={`toolbar-button ${player ? 'active' : ''}`} onClick={() => setIsOpen(true)}>
+        {player ? `My Squares: ${player}` : 'My Squares'}
+      </button>
+      {isOpen && (
+        <PanelModal title="My Squares" onClose={() => setIsOpen(false)}>
+          <select
+            value={player || ''}
+            onChange={(e) => onPlayerChange(e.target.value || null)}
+            className="checkpoint-period-select my-squares-select"
+            aria-label="Your name"
+          >
+            <option value="">Pick your name...</option>
+            {playerNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+
+          {player && summary && (
+            <>
+              <div className="ledger-leaders">
+                <span className="ledger-leader">
+                  Squares: <span className="ledger-amount">{summary.squares.length}</span>
+                </span>
+                <span className="ledger-leader">
+                  Won so far: <span className="ledger-amount">{formatAmount(summary.winnings, currency)}</span>
+                </span>
+              </div>
+
+              {summary.squares.length === 0 ? (
+                <div className="ledger-empty">No squares under this name on this board.</div>
+              ) : (
+                <ol className="ledger-list">
+                  {summary.squares.map(square => (
+                    <li key={square.gridIndex} className="ledger-row">
+                      <div className="ledger-row-header">
+                        <span className="ledger-label">Square {square.gridIndex}</span>
+                        <span className="ledger-score">
+                          {homeTeamName} {square.homeDigits.join('/')} · {awayTeamName} {square.awayDigits.join('/')}
+                        </span>
+                      </div>
+                      {showDistance && (
+                        <div className="ledger-text">
+                          This quarter: {describeDistance(square, homeTeamName, awayTeamName)}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )}
+        </PanelModal>
+      )}
+    </>
+  );
+}
+
+export default MySquares;
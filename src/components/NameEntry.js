@@ -1,20 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { contestAPI } from '../services/apiService';
-import { validateNames, validateNamesForSave } from '../utils/validation';
-import { getErrorMessage } from '../utils/errorHandler';
+import { Link } from 'react-router-dom';
+import { contestAPI, seasonAPI } from '../services/apiService';
+import { validateName, validateNames, validateNamesForSave, sanitizeNameInput } from '../utils/validation';
 import { reportError } from '../utils/errorReporter';
-
-// HTML sanitization function to prevent XSS on user input
-const sanitizeInput = (str) => {
-  if (typeof str !== 'string') return str;
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#x27;')
-    .replace(/\//g, '&#x2F;');
-};
+import { createDigitAssignment } from '../utils/digitAssignment';
+import { hashNames } from '../utils/provablyFair';
+import { getBoardLayout } from '../utils/boardLayout';
+import { getContestBoards, findBoard } from '../utils/contestBoards';
+import { normalizeCurrency } from '../utils/currency';
+import { getAdminUrl, getParticipantUrl, getAdminErrorMessage, isAdminProtected, getAdminToken, getSeasonTokenKey } from '../utils/adminAccess';
+import { isClaimingEnabled, mergeClaimedNames, CLAIM_POLL_MS } from '../utils/squareClaims';
+import { DIGIT_MODES, TOTAL_SQUARES, CONTEST_STATUS } from '../constants';
+import BoardSwitcher from './BoardSwitcher';
+import PaymentTracker from './PaymentTracker';
+import SeedCommitment from './SeedCommitment';
 
 // List of random first and last names
 const randomNames = [
@@ -45,45 +44,89 @@ const randomNames = [
   'Yves Bennett', 'Thelma Wood', 'Zachary Barnes', 'Lucille Ross', 'Adam Henderson', 'Edna Coleman'
 ];
 
-function NameEntry({ contestId, onNamesSubmitted }) {
-  const [names, setNames] = useState(Array(100).fill(''));
+// Create an array with one element per square, populated with a board's existing names
+const fillBoardNames = (boardNames, squareCount) => {
+  return Array(squareCount).fill('').map((_, index) => boardNames[index] || '');
+};
+
+const hasAnyNames = (boardNames) => {
+  return boardNames.some(name => name && name.trim() !== '');
+};
+
+function NameEntry({ contestId, adminToken, notice, onNamesSubmitted }) {
+  const [names, setNames] = useState(Array(TOTAL_SQUARES).fill(''));
+  const [totalSquares, setTotalSquares] = useState(TOTAL_SQUARES);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [copyStatus, setCopyStatus] = useState('Copy URL');
+  const [adminCopyStatus, setAdminCopyStatus] = useState('Copy Admin Link');
+  const [participantCopyStatus, setParticipantCopyStatus] = useState('Copy Participant Link');
   const [hasChanges, setHasChanges] = useState(false);
   const [showToast, setShowToast] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [digitMode, setDigitMode] = useState(DIGIT_MODES.FIXED);
+  const [boards, setBoards] = useState([]);
+  const [activeBoardId, setActiveBoardId] = useState(null);
+  const [currency, setCurrency] = useState(() => normalizeCurrency(null));
+  const [seasonId, setSeasonId] = useState(null);
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [savedNames, setSavedNames] = useState([]); // the active board's names as last loaded or saved
+  const [claimNotice, setClaimNotice] = useState(null);
+  const [isProtected, setIsProtected] = useState(true); // false for contests created before admin tokens
+  
+  // Each board commits to its own digit shuffle
+  const activeBoard = findBoard(boards, activeBoardId);
+  const seedHash = activeBoard?.seedHash || null;
 
   // Fetch existing names on component mount
   useEffect(() => {
     const fetchExistingNames = async () => {
       try {
         const data = await contestAPI.getContest(contestId);
+        setIsProtected(isAdminProtected(data));
           
-          // Check contest status
-          const status = data.contest?.status || data.status;
+          // Only boards that haven't started (status 'new') still take names
+          let openBoards = getContestBoards(data).filter(board => board.status === CONTEST_STATUS.NEW);
           
-          // If contest has already started (not 'new'), show error
-          if (status && status !== 'new') {
+          // If every board has already started, show error
+          if (openBoards.length === 0) {
             setError('Contest has already started!');
             setIsLoading(false);
             return;
           }
           
-          // Check if names are in the contest object
-          const namesArray = data.contest?.names || data.names;
+          // Remember how digits should be assigned when the contest starts
+          const settings = data.contest?.settings || data.settings;
+          if (settings?.digitMode) {
+            setDigitMode(settings.digitMode);
+          }
+          setCurrency(normalizeCurrency(settings?.currency));
+          setIsClaiming(isClaimingEnabled(settings));
           
-          if (namesArray && Array.isArray(namesArray)) {
-            // Create a new array with 100 elements, populated with existing names
-            const populatedNames = Array(100).fill('').map((_, index) => 
-              namesArray[index] || ''
-            );
-            setNames(populatedNames);
-            
-            // Check if there are any existing names to set hasChanges
-            const hasAnyNames = namesArray.some(name => name && name.trim() !== '');
-            setHasChanges(hasAnyNames);
+          // Season contests start from the names the season used last week
+          if (settings?.seasonId) {
+            setSeasonId(settings.seasonId);
+            if (openBoards.some(board => !hasAnyNames(board.names))) {
+              try {
+                const seasonData = await seasonAPI.getSeason(settings.seasonId);
+                const seasonNames = (seasonData.season || seasonData).names || [];
+                openBoards = openBoards.map(board => (hasAnyNames(board.names) ? board : { ...board, names: seasonNames }));
+              } catch (seasonError) {
+                reportError(seasonError, 'network', { operation: 'fetchSeasonNames', contestId, seasonId: settings.seasonId });
+              }
+            }
           }
+          
+          // The board size sets how many names each board needs
+          const squareCount = getBoardLayout(settings?.boardSize).totalSquares;
+          setTotalSquares(squareCount);
+          
+          setBoards(openBoards);
+          setActiveBoardId(openBoards[0].id);
+          setNames(fillBoardNames(openBoards[0].names, squareCount));
+          setSavedNames(fillBoardNames(openBoards[0].names, squareCount));
+          
+          // Check if there are any existing names to set hasChanges
+          setHasChanges(hasAnyNames(openBoards[0].names));
       } catch (error) {
         reportError(error, 'network', { operation: 'fetchExistingNames', contestId });
         // Continue with empty form if fetch fails
@@ -100,9 +143,72 @@ function NameEntry({ contestId, onNamesSubmitted }) {
     }
   }, [contestId]);
 
+  // Claiming contests fill in while the organizer watches; pick up new claims without
+  // overwriting squares being edited here
+  useEffect(() => {
+    if (!isClaiming || !adminToken) return undefined;
+
+    const interval = setInterval(async () => {
+      try {
+        const data = await contestAPI.getContest(contestId);
+        const freshBoard = getContestBoards(data).find(board => board.id === activeBoardId);
+        if (!freshBoard || freshBoard.status !== CONTEST_STATUS.NEW) return;
+
+        const serverNames = fillBoardNames(freshBoard.names, totalSquares);
+        setNames(current => mergeClaimedNames(current, savedNames, serverNames));
+        setSavedNames(serverNames);
+      } catch (error) {
+        reportError(error, 'network', { operation: 'refreshClaims', contestId });
+      }
+    }, CLAIM_POLL_MS);
+
+    return () => clearInterval(interval);
+  }, [isClaiming, adminToken, contestId, activeBoardId, savedNames, totalSquares]);
+
+  // Switch boards, keeping what was typed on the current board
+  const switchBoard = (boardId) => {
+    const updatedBoards = boards.map(board => (board.id === activeBoardId ? { ...board, names } : board));
+    const nextBoard = findBoard(updatedBoards, boardId);
+    setBoards(updatedBoards);
+    setActiveBoardId(nextBoard.id);
+    setNames(fillBoardNames(nextBoard.names, totalSquares));
+    setSavedNames(fillBoardNames(nextBoard.names, totalSquares));
+    setHasChanges(hasAnyNames(nextBoard.names));
+  };
+
+  // On claiming contests each square saves on its own when the field loses focus, so releasing
+  // or reassigning one square can't overwrite claims made meanwhile; an empty name releases it
+  const saveSquare = async (index) => {
+    const name = names[index].trim();
+    if (name === (savedNames[index] || '').trim()) return;
+
+    const validation = name ? validateName(name) : { isValid: true, value: '' };
+    if (!validation.isValid) {
+      setError(validation.message);
+      return;
+    }
+
+    try {
+      await contestAPI.assignSquare(contestId, index + 1, validation.value, activeBoardId, adminToken);
+
+      // Keep the form and the saved copy in the form the server stored, so the next refresh
+      // doesn't see the square as edited
+      const replaceSquare = (list) => list.map((listName, listIndex) => (listIndex === index ? validation.value : listName));
+      setNames(replaceSquare);
+      setSavedNames(replaceSquare);
+    } catch (error) {
+      setError(getAdminErrorMessage(error, 'Failed to save the square. Please try again.'));
+    }
+  };
+
+  // Keep the tracker's saved payments on the board so switching boards doesn't lose them
+  const setBoardPayments = (boardId, payments) => {
+    setBoards(prev => prev.map(board => (board.id === boardId ? { ...board, payments } : board)));
+  };
+
   const handleNameChange = (index, value) => {
     const newNames = [...names];
-    newNames[index] = sanitizeInput(value);
+    newNames[index] = sanitizeNameInput(value);
     setNames(newNames);
     
     // Check if any names have been entered (changed from empty)
@@ -112,8 +218,8 @@ function NameEntry({ contestId, onNamesSubmitted }) {
 
   // Function to determine if a field should be enabled
   const isFieldEnabled = (index) => {
-    // First field is always enabled
-    if (index === 0) return true;
+    // First field is always enabled, and claimed squares fill in any order
+    if (index === 0 || isClaiming) return true;
     
     // For subsequent fields, check if the previous field has a value
     const previousField = names[index - 1];
@@ -123,7 +229,7 @@ function NameEntry({ contestId, onNamesSubmitted }) {
   const saveNames = async () => {
     try {
       // Use validation function that allows partial names for saving
-      const validation = validateNamesForSave(names);
+      const validation = validateNamesForSave(names, totalSquares);
       
       if (!validation.isValid) {
         setError(validation.message);
@@ -131,7 +237,7 @@ function NameEntry({ contestId, onNamesSubmitted }) {
       }
 
       // Save names to backend using API service
-      await contestAPI.updateContest(contestId, validation.value);
+      await contestAPI.updateContest(contestId, validation.value, activeBoardId, adminToken);
 
       setShowToast(true);
       setHasChanges(false); // Reset changes flag after successful save
@@ -139,7 +245,7 @@ function NameEntry({ contestId, onNamesSubmitted }) {
         setShowToast(false);
       }, 3000);
     } catch (error) {
-      setError(getErrorMessage(error) || 'Failed to save names. Please try again.');
+      setError(getAdminErrorMessage(error, 'Failed to save names. Please try again.'));
     }
   };
 
@@ -147,7 +253,7 @@ function NameEntry({ contestId, onNamesSubmitted }) {
     setIsSubmitting(true);
     try {
       // Use new validation function
-      const validation = validateNames(names);
+      const validation = validateNames(names, totalSquares);
       
       if (!validation.isValid) {
         setError(validation.message);
@@ -155,29 +261,60 @@ function NameEntry({ contestId, onNamesSubmitted }) {
         return;
       }
 
+      // Claims may have come in since the last refresh; locking now would overwrite them,
+      // so merge them into the form and let the organizer look before submitting again
+      if (isClaiming) {
+        const data = await contestAPI.getContest(contestId);
+        const freshBoard = getContestBoards(data).find(board => board.id === activeBoardId);
+        const serverNames = fillBoardNames(freshBoard?.names || [], totalSquares);
+
+        if (serverNames.some((name, index) => name !== (savedNames[index] || ''))) {
+          setNames(mergeClaimedNames(names, savedNames, serverNames));
+          setSavedNames(serverNames);
+          setClaimNotice('Squares changed while you were editing. Check the board and submit again.');
+          setIsSubmitting(false);
+          return;
+        }
+        setClaimNotice(null);
+      }
+
       // Save names to backend using API service
-      await contestAPI.updateContest(contestId, validation.value);
+      await contestAPI.updateContest(contestId, validation.value, activeBoardId, adminToken);
+
+      // The API draws the numbers from its committed seed and the names just locked, and reveals
+      // the seed; contests created before the API kept seeds get fresh digits shuffled here
+      const namesDigest = seedHash ? await hashNames(validation.value) : null;
+      const digits = seedHash ? null : createDigitAssignment(digitMode);
 
       // Call the start endpoint to start the contest
-      await contestAPI.startContest(contestId);
+      await contestAPI.startContest(contestId, digits, activeBoardId, adminToken, namesDigest);
+
+      // Keep these names as the season's names for next week; the contest has already started either way
+      if (seasonId) {
+        try {
+          await seasonAPI.updateSeason(seasonId, validation.value, getAdminToken(getSeasonTokenKey(seasonId)));
+        } catch (seasonError) {
+          reportError(seasonError, 'network', { operation: 'updateSeasonNames', contestId, seasonId });
+        }
+      }
 
       // Call the callback to navigate to squares page
       if (onNamesSubmitted) {
-        onNamesSubmitted();
+        onNamesSubmitted(activeBoardId);
       }
     } catch (error) {
-      setError(getErrorMessage(error) || 'Failed to submit names. Please try again.');
+      setError(getAdminErrorMessage(error, 'Failed to submit names. Please try again.'));
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  const copyUrl = () => {
-    const url = `${window.location.origin}/contests/${contestId}`;
+  // Copy a link and show 'Copied!' on its button for a moment
+  const copyUrl = (url, setStatus, label) => {
     navigator.clipboard.writeText(url).then(() => {
-      setCopyStatus('Copied!');
+      setStatus('Copied!');
       setTimeout(() => {
-        setCopyStatus('Copy URL');
+        setStatus(label);
       }, 2000);
     }).catch(() => {
       // Fallback for older browsers
@@ -187,9 +324,9 @@ function NameEntry({ contestId, onNamesSubmitted }) {
       textArea.select();
       document.execCommand('copy');
       document.body.removeChild(textArea);
-      setCopyStatus('Copied!');
+      setStatus('Copied!');
       setTimeout(() => {
-        setCopyStatus('Copy URL');
+        setStatus(label);
       }, 2000);
     });
   };
@@ -237,6 +374,21 @@ function NameEntry({ contestId, onNamesSubmitted }) {
     );
   }
 
+  // Without the admin token this is a participant, who only gets the board. Contests created
+  // before admin tokens have none to check, so they stay editable the way they always were.
+  if (!adminToken && isProtected) {
+    return (
+      <div className="name-entry-container">
+        <div className="error-text">
+          Only the organizer can enter names. Open the admin link to manage this contest. If this
+          browser created the contest but its data has been cleared, use the admin link you copied;
+          the participant link can't restore it.
+        </div>
+        <Link to={`/contests/${contestId}/squares`} className="toolbar-button">View the Board</Link>
+      </div>
+    );
+  }
+
   return (
     <div className="name-entry-container">
       {showToast && (
@@ -248,19 +400,55 @@ function NameEntry({ contestId, onNamesSubmitted }) {
       <div className="name-entry-header">
         <h1 className="name-entry-title">Enter Names for Squares</h1>
         <div className="header-buttons">
-          <button onClick={copyUrl} className={`copy-url-button ${copyStatus === 'Copied!' ? 'copied' : ''}`}>
-            {copyStatus}
+          <button
+            onClick={() => copyUrl(getAdminUrl(window.location.origin, contestId, adminToken), setAdminCopyStatus, 'Copy Admin Link')}
+            className={`copy-url-button ${adminCopyStatus === 'Copied!' ? 'copied' : ''}`}
+            title="Anyone with this link can edit names and start the contest. Keep it: it's the way back in if this browser's data is cleared."
+          >
+            {adminCopyStatus}
+          </button>
+          <button
+            onClick={() => copyUrl(getParticipantUrl(window.location.origin, contestId), setParticipantCopyStatus, 'Copy Participant Link')}
+            className={`copy-url-button ${participantCopyStatus === 'Copied!' ? 'copied' : ''}`}
+            title="Read-only link to the board for participants"
+          >
+            {participantCopyStatus}
           </button>
-                     <button onClick={fillRandomNames} className="fill-random-button" title="Fill Random Names">
-             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-               <path d="M1 4V10H7" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-               <path d="M23 20V14H17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-               <path d="M20.49 9C19.2214 5.33108 15.6907 2.5 11.5 2.5C6.80546 2.5 2.5 6.80546 2.5 11.5C2.5 16.1945 6.80546 20.5 11.5 20.5C15.6907 20.5 19.2214 17.6689 20.49 14" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-             </svg>
-           </button>
+          {/* Random names would skip the per-square saves claiming contests rely on */}
+          {!isClaiming && (
+            <button onClick={fillRandomNames} className="fill-random-button" title="Fill Random Names">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M1 4V10H7" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M23 20V14H17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M20.49 9C19.2214 5.33108 15.6907 2.5 11.5 2.5C6.80546 2.5 2.5 6.80546 2.5 11.5C2.5 16.1945 6.80546 20.5 11.5 20.5C15.6907 20.5 19.2214 17.6689 20.49 14" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
         </div>
       </div>
       
+      {notice && <div className="error-text claim-message">{notice}</div>}
+      
+      <BoardSwitcher
+        boards={boards}
+        activeBoardId={activeBoardId}
+        onSelect={switchBoard}
+        currency={currency}
+      />
+      
+      {activeBoard && (
+        <PaymentTracker
+          contestId={contestId}
+          adminToken={adminToken}
+          board={activeBoard}
+          names={names}
+          onPaymentsChange={setBoardPayments}
+          currency={currency}
+        />
+      )}
+      
+      <SeedCommitment seedHash={seedHash} />
+      
       <div className="name-entry-form">
                  <div className="names-grid">
                       {names.map((name, index) => (
@@ -270,6 +458,7 @@ function NameEntry({ contestId, onNamesSubmitted }) {
                  id={`name-${index}`}
                  value={name}
                  onChange={(e) => handleNameChange(index, e.target.value)}
+                 onBlur={isClaiming ? () => saveSquare(index) : undefined}
                  className={`name-input ${!isFieldEnabled(index) ? 'disabled' : ''}`}
                  placeholder={`Name ${index + 1}`}
                  maxLength="100"
@@ -280,20 +469,28 @@ function NameEntry({ contestId, onNamesSubmitted }) {
         </div>
         
         <div className="submit-section">
+          {claimNotice && <div className="error-text claim-message">{claimNotice}</div>}
+          {isClaiming && (
+            <span className="fairness-note">
+              Participants are claiming squares from the participant link. Changes to a square save as you leave it; clear a name to release the square.
+            </span>
+          )}
           <div className="button-group">
-                         <button 
-               onClick={saveNames}
-               disabled={!hasChanges}
-               className="save-names-button"
-             >
-               Save
-             </button>
+            {!isClaiming && (
+              <button 
+                onClick={saveNames}
+                disabled={!hasChanges}
+                className="save-names-button"
+              >
+                Save
+              </button>
+            )}
             <button 
               onClick={handleSubmit}
-              disabled={isSubmitting || names.filter(name => name.trim() !== '').length !== 100}
+              disabled={isSubmitting || names.filter(name => name.trim() !== '').length !== totalSquares}
               className="submit-names-button"
             >
-              {isSubmitting ? 'Submitting...' : `Submit ${names.filter(name => name.trim() !== '').length}/100`}
+              {isSubmitting ? 'Submitting...' : `Submit ${names.filter(name => name.trim() !== '').length}/${totalSquares}`}
             </button>
           </div>
         </div>
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Overlay dialog used by the optional panels on the squares page
+function PanelModal({ title, onClose, children }) {
+  return (
+    <div className="panel-overlay" onClick={onClose}>
+      <div
+        className="panel-modal"
+        role="dialog"
+        aria-label={title}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="panel-header">
+          <h3 className="panel-title">{title}</h3>
+          <button type="button" className="panel-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+        <div className="panel-body">
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PanelModal;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PanelModal from './PanelModal';
+import { contestAPI } from '../services/apiService';
+import { reportError } from '../utils/errorReporter';
+import { formatAmount } from '../utils/currency';
+import { setPayment, getPaymentSummary, MAX_PAYMENT_NOTE_LENGTH } from '../utils/payments';
+import { getAdminErrorMessage } from '../utils/adminAccess';
+
+// Organizer's paid/unpaid list for a board, before or after it starts. Ticking a box saves
+// right away; notes save when the field loses focus so typing doesn't send a request per keystroke.
+function PaymentTracker({ contestId, adminToken, board, names, onPaymentsChange, currency }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draftNotes, setDraftNotes] = useState({});
+  const [error, setError] = useState(null);
+
+  // Changes build on the last payments sent rather than the last render, so two quick
+  // ticks both reach the server
+  const latestPayments = useRef(board.payments);
+  useEffect(() => {
+    latestPayments.current = board.payments;
+  }, [board.id, board.payments]);
+
+  const { participants, unpaidCount, outstanding } = getPaymentSummary(names, board.payments, board.costPerSquare);
+
+  const updatePayment = async (name, changes) => {
+    const payments = setPayment(latestPayments.current, name, changes);
+    latestPayments.current = payments;
+    onPaymentsChange(board.id, payments);
+
+    try {
+      await contestAPI.updatePayments(contestId, payments, board.id, adminToken);
+      setError(null);
+    } catch (err) {
+      reportError(err, 'network', { operation: 'updatePayments', contestId });
+      setError(getAdminErrorMessage(err, 'Failed to save payments. Please try again.'));
+    }
+  };
+
+  const saveNote = (participant) => {
+    const note = draftNotes[participant.name];
+    if (note !== undefined && note !== participant.note) {
+      updatePayment(participant.name, { note });
+    }
+    setDraftNotes(({ [participant.name]: _saved, ...rest }) => rest);
+  };
+
+  return (
+    <div className="payment-summary">
+      <span className="payment-summary-text">
+        {participants.length === 0 ? 'No names yet'
+          : unpaidCount === 0 ? 'Everyone has paid'
+          : `${unpaidCount} of ${participants.length} unpaid · ${formatAmount(outstanding, currency)} outstanding`}
+      </span>
+      <button type="button" className="toolbar-button" onClick={() => setIsOpen(true)} disabled={participants.length === 0}>
+        Payments
+      </button>
+
+      {isOpen && (
+        <PanelModal title="Payments" onClose={() => setIsOpen(false)}>
+          {error && <div className="error-text payment-error">{error}</div>}
+          <ol className="ledger-list">
+            {participants.map(participant => (
+              <li key={participant.name} className="ledger-row">
+                <div className="ledger-row-header">
+                  <label className="payment-name">
+                    <input
+                      type="checkbox"
+                      checked={participant.paid}
+                      onChange={(e) => updatePayment(participant.name, { paid: e.target.checked })}
+                    />
+                    {participant.name}
+                  </label>
+                  <span className="ledger-score">
+                    {participant.squares} × · {formatAmount(participant.amountDue, currency)}
+                  </span>
+                </div>
+                <input
+                  type="text"
+                  value={draftNotes[participant.name] ?? participant.note}
+                  onChange={(e) => setDraftNotes({ ...draftNotes, [participant.name]: e.target.value })}
+                  onBlur={() => saveNote(participant)}
+                  className="name-input payment-note"
+                  placeholder="Note (optional)"
+                  maxLength={MAX_PAYMENT_NOTE_LENGTH}
+                  aria-label={`Payment note for ${participant.name}`}
+                />
+              </li>
+            ))}
+          </ol>
+        </PanelModal>
+      )}
+    </div>
+  );
+}
+
+export default PaymentTracker;
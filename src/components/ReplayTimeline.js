@@ -0,0 +1,68 @@
+import React, { useEffect } from 'react';
+import { getPeriodLabel } from '../utils/scoringEngine';
+
+// How long the play button stays on each scoring play
+const PLAYBACK_STEP_MS = 1200;
+
+// Timeline through the game's scoring plays. Position 0 is kickoff and the last position is the
+// game as it stands now; anything in between replays the board after that many scoring plays.
+function ReplayTimeline({ plays, position, onChange, isPlaying, onPlayingChange, homeTeamName, awayTeamName }) {
+  const lastPosition = plays.length;
+
+  // Step forward while playing and stop at the end
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    if (position >= lastPosition) {
+      onPlayingChange(false);
+      return undefined;
+    }
+
+    const timeout = setTimeout(() => onChange(position + 1), PLAYBACK_STEP_MS);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, position, lastPosition, onChange, onPlayingChange]);
+
+  const togglePlaying = () => {
+    if (!isPlaying && position >= lastPosition) {
+      // Replaying a finished timeline starts again from kickoff
+      onChange(0);
+    }
+    onPlayingChange(!isPlaying);
+  };
+
+  const play = position > 0 ? plays[position - 1] : null;
+  const caption = position >= lastPosition ? 'Now'
+    : play ? `${getPeriodLabel(play.period)} ${play.clock} · ${homeTeamName} ${play.homeScore}-${play.awayScore} ${awayTeamName}`
+    : 'Kickoff';
+
+  return (
+    <div className="replay-timeline">
+      <button
+        type="button"
+        className="simulator-btn"
+        onClick={togglePlaying}
+        aria-label={isPlaying ? 'Pause replay' : 'Play replay'}
+      >
+        {isPlaying ? '❚❚' : '▶'}
+      </button>
+      <input
+        type="range"
+        min="0"
+        max={lastPosition}
+        value={position}
+        onChange={(e) => {
+          onPlayingChange(false);
+          onChange(parseInt(e.target.value, 10));
+        }}
+        className="payout-slider replay-slider"
+        aria-label="Replay position"
+      />
+      <span className="replay-caption">
+        {caption}
+        {play?.text && position < lastPosition && <span className="replay-text">{play.text}</span>}
+      </span>
+    </div>
+  );
+}
+
+export default ReplayTimeline;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import PanelModal from './PanelModal';
+import { formatAmount } from '../utils/currency';
+import { toCents, fromCents } from '../utils/payoutAllocation';
+
+// Running ledger of every-score payouts, newest first, with what each square has collected so far
+function ScoreLedger({ events, homeTeamName, awayTeamName, getWinnerName, currency }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Totals are kept in cents so they don't pick up floating point error
+  let runningCents = 0;
+  const rows = events.map(event => {
+    runningCents += toCents(event.amount);
+    return { event, runningTotal: fromCents(runningCents) };
+  }).reverse();
+
+  const totalsByName = {};
+  events.forEach(event => {
+    const name = getWinnerName(event);
+    if (name) {
+      totalsByName[name] = fromCents(toCents(totalsByName[name] || 0) + toCents(event.amount));
+    }
+  });
+  const leaders = Object.entries(totalsByName).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <>
+      <button type="button" className="toolbar-button" onClick={() => setIsOpen(true)}>
+        Score Ledger ({events.length})
+      </button>
+      {isOpen && (
+        <PanelModal title="Every-Score Ledger" onClose={() => setIsOpen(false)}>
+          {rows.length === 0 && (
+            <div className="ledger-empty">No scores yet. Each score pays the square holding the new digits.</div>
+          )}
+
+          {leaders.length > 0 && (
+            <div className="ledger-leaders">
+              {leaders.map(([name, amount]) => (
+                <span key={name} className="ledger-leader">
+                  {name}: <span className="ledger-amount">{formatAmount(amount, currency)}</span>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <ol className="ledger-list">
+              {rows.map(({ event, runningTotal: paidSoFar }) => (
+                <li key={event.id} className="ledger-row">
+                  <div className="ledger-row-header">
+                    <span className="ledger-label">{event.label}</span>
+                    <span className="ledger-score">
+                      {homeTeamName} {event.scores.home}-{event.scores.away} {awayTeamName}
+                    </span>
+                  </div>
+                  {event.text && <div className="ledger-text">{event.text}</div>}
+                  <div className="ledger-row-footer">
+                    <span>{getWinnerName(event) || 'Unassigned'}</span>
+                    <span className="ledger-amount">{formatAmount(event.amount, currency)}</span>
+                    <span className="ledger-running">Paid so far: {formatAmount(paidSoFar, currency)}</span>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </PanelModal>
+      )}
+    </>
+  );
+}
+
+export default ScoreLedger;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { getPeriodLabel } from '../utils/scoringEngine';
+
+// Scores the simulator can preview for either team
+const SIMULATED_SCORES = [
+  { points: 2, title: 'Safety' },
+  { points: 3, title: 'Field goal' },
+  { points: 6, title: 'Touchdown, missed kick' },
+  { points: 7, title: 'Touchdown and extra point' },
+  { points: 8, title: 'Touchdown and two-point conversion' }
+];
+
+// "What if…" buttons that preview which square would take the current quarter after a score.
+// The preview only drives a ghost highlight on the grid; the real game state is never touched.
+function ScoreSimulator({ homeTeamName, awayTeamName, simulation, preview, onSimulate, getWinnerName }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggleOpen = () => {
+    if (isOpen) {
+      onSimulate(null);
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const selectScore = (team, points) => {
+    const isSelected = simulation?.team === team && simulation?.points === points;
+    onSimulate(isSelected ? null : { team, points });
+  };
+
+  const teams = [
+    { team: 'home', name: homeTeamName },
+    { team: 'away', name: awayTeamName }
+  ];
+
+  return (
+    <>
+      <button type="button" className={`toolbar-button ${isOpen ? 'active' : ''}`} onClick={toggleOpen}>
+        What If…
+      </button>
+      {isOpen && (
+        <div className="simulator-panel">
+          {teams.map(({ team, name }) => (
+            <div key={team} className="simulator-row">
+              <span className="simulator-team">{name}</span>
+              {SIMULATED_SCORES.map(({ points, title }) => (
+                <button
+                  key={points}
+                  type="button"
+                  title={title}
+                  className={`simulator-btn ${simulation?.team === team && simulation?.points === points ? 'active' : ''}`}
+                  onClick={() => selectScore(team, points)}
+                >
+                  +{points}
+                </button>
+              ))}
+            </div>
+          ))}
+          <div className="simulator-result">
+            {preview ? (
+              <>
+                {getPeriodLabel(preview.period)} at {homeTeamName} {preview.scores.home}-{preview.scores.away} {awayTeamName}
+                {' → '}<span className="winner-name">{getWinnerName(preview)}</span>
+              </>
+            ) : (
+              'Pick a score to preview the winning square.'
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default ScoreSimulator;
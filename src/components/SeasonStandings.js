@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { seasonAPI } from '../services/apiService';
+import { loadContestPayouts } from '../services/gameService';
+import { reportError } from '../utils/errorReporter';
+import { addBoardWinnings, buildSeasonStandings } from '../utils/seasonStandings';
+import { formatAmount, normalizeCurrency } from '../utils/currency';
+
+// Load one week of the season: the contest, its games and what each name won on every started board
+const loadWeek = async (contestId, index) => {
+  const { settings, games, boards } = await loadContestPayouts(contestId);
+
+  const winnings = {};
+  boards.forEach(({ board, events }) => addBoardWinnings(events, board.names, winnings));
+
+  const label = games.length > 1 ? `${games.length}-game slate`
+    : games.length === 1 ? `${games[0].gameData.awayTeam.name} @ ${games[0].gameData.homeTeam.name}`
+    : `Week ${index + 1}`;
+
+  return {
+    id: contestId,
+    label,
+    currency: settings.currency,
+    winnings
+  };
+};
+
+// Cumulative winnings for every name across the contests linked to a season
+function SeasonStandings() {
+  const { seasonId } = useParams();
+  const [seasonName, setSeasonName] = useState('');
+  const [standings, setStandings] = useState(null);
+  const [currency, setCurrency] = useState(() => normalizeCurrency(null));
+  const [showRunning, setShowRunning] = useState(false);
+  const [weekNumbers, setWeekNumbers] = useState({}); // week number by contest ID
+  const [failedWeeks, setFailedWeeks] = useState([]); // numbers of weeks that couldn't load
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStandings = async () => {
+      try {
+        const data = await seasonAPI.getSeason(seasonId);
+        const season = data.season || data;
+        setSeasonName(season.name || 'Season');
+
+        // Weeks load one at a time to keep the request rate down. A week that fails to load is
+        // left out so the rest of the season still shows.
+        const weeks = [];
+        const failed = [];
+        const numbers = {};
+        const contestIds = season.contestIds || [];
+        for (let index = 0; index < contestIds.length; index++) {
+          numbers[contestIds[index]] = index + 1;
+          try {
+            weeks.push(await loadWeek(contestIds[index], index));
+          } catch (weekError) {
+            reportError(weekError, 'network', { operation: 'fetchSeasonWeek', seasonId, contestId: contestIds[index] });
+            failed.push(index + 1);
+          }
+        }
+
+        setWeekNumbers(numbers);
+        setFailedWeeks(failed);
+        setCurrency(normalizeCurrency(weeks[0]?.currency));
+        setStandings(buildSeasonStandings(weeks, season.names || []));
+      } catch (err) {
+        reportError(err, 'network', { operation: 'fetchSeasonStandings', seasonId });
+        setError('Failed to load season standings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (seasonId) {
+      fetchStandings();
+    }
+  }, [seasonId]);
+
+  if (error) {
+    return (
+      <div className="App">
+        <div className="error-container">
+          <div className="error-text">Error: {error}</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading || !standings) {
+    return (
+      <div className="App">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <div className="loading-text">Loading standings...</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="season-standings">
+      <div className="season-header">
+        <h1 className="season-title">{seasonName} Standings</h1>
+        {standings.weeks.length > 0 && (
+          <button
+            type="button"
+            className={`toolbar-button ${showRunning ? 'active' : ''}`}
+            onClick={() => setShowRunning(!showRunning)}
+          >
+            {showRunning ? 'Show Weekly Results' : 'Show Running Totals'}
+          </button>
+        )}
+      </div>
+
+      {failedWeeks.length > 0 && (
+        <div className="ledger-empty">
+          Couldn't load week{failedWeeks.length === 1 ? '' : 's'} {failedWeeks.join(', ')}; {failedWeeks.length === 1 ? 'it is' : 'they are'} left out of these totals.
+        </div>
+      )}
+
+      {standings.weeks.length === 0 ? (
+        <div className="ledger-empty">No games in this season yet.</div>
+      ) : (
+        <div className="season-table-wrapper">
+          <table className="season-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Name</th>
+                {standings.weeks.map(week => (
+                  <th key={week.id}>
+                    <Link to={`/contests/${week.id}/squares`} title={week.label}>Wk {weekNumbers[week.id]}</Link>
+                  </th>
+                ))}
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {standings.rows.map((row, rank) => (
+                <tr key={row.name}>
+                  <td>{rank + 1}</td>
+                  <td className="season-name">{row.name}</td>
+                  {(showRunning ? row.running : row.weekly).map((amount, index) => (
+                    <td key={standings.weeks[index].id} className={amount > 0 ? 'season-won' : ''}>
+                      {amount > 0 || showRunning ? formatAmount(amount, currency) : '–'}
+                    </td>
+                  ))}
+                  <td className="season-total">{formatAmount(row.total, currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SeasonStandings;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// The published hash of a board's secret seed, shown wherever the board can be seen before its
+// names are locked so participants can note it down ahead of the reveal
+function SeedCommitment({ seedHash, label = null }) {
+  if (!seedHash) {
+    return null;
+  }
+
+  return (
+    <div className="fairness-commitment">
+      <span className="fairness-label">
+        {label ? `${label} board: ` : ''}Number shuffle commitment (SHA-256)
+      </span>
+      <code className="fairness-hash">{seedHash}</code>
+      <span className="fairness-note">
+        The numbers are drawn from this seed and the final names. The seed is revealed on the board once names are locked, so anyone can verify them.
+      </span>
+    </div>
+  );
+}
+
+export default SeedCommitment;
@@ -1,9 +1,43 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { contestAPI } from '../services/apiService';
-import { getNFLGameData } from '../services/gameService';
+import { getNFLGameData, transformGameData } from '../services/gameService';
 import { reportError } from '../utils/errorReporter';
+import { normalizeDigitAssignment, getDigitsForPeriod } from '../utils/digitAssignment';
+import {
+  getContestRuleSet,
+  getSlateRuleSets,
+  getSlatePayoutEvents,
+  getSlateUnallocated,
+  getPayoutEvents,
+  getSquareEvents,
+  simulateScore,
+  getEventPlays,
+  getPeriodLabel,
+  PAYOUT_RULES,
+  SECONDARY_RULES,
+  EVENT_STATUS
+} from '../utils/scoringEngine';
+import { toCents, fromCents, getRefundShares, UNALLOCATED_POLICIES } from '../utils/payoutAllocation';
+import { formatAmount, normalizeCurrency } from '../utils/currency';
+import { groupDigits } from '../utils/boardLayout';
+import { getWinProbabilities } from '../utils/winProbability';
+import { getReplayGameData } from '../utils/gameReplay';
+import { getPlayerNames, getPlayerSquares, getPlayerSummary } from '../utils/playerSummary';
+import { getContestBoards, findBoard, getContestEventIds } from '../utils/contestBoards';
+import { isSquarePaid } from '../utils/payments';
+import { getAdminToken, isAdminProtected } from '../utils/adminAccess';
+import { CONTEST_STATUS } from '../constants';
 import NetworkStatus from './NetworkStatus';
+import FairnessPanel from './FairnessPanel';
+import ScoreLedger from './ScoreLedger';
+import BoardSwitcher from './BoardSwitcher';
+import TimeHeldLeaderboard from './TimeHeldLeaderboard';
+import ScoreSimulator from './ScoreSimulator';
+import ReplayTimeline from './ReplayTimeline';
+import MySquares from './MySquares';
+import PaymentTracker from './PaymentTracker';
+import SeedCommitment from './SeedCommitment';
 
 // HTML sanitization function to prevent XSS on user names
 const sanitizeHtml = (str) => {
@@ -98,18 +132,84 @@ const adjustAllNameFontSizes = () => {
 
 function Squares() {
   const { documentId } = useParams();
-  const [gameData, setGameData] = useState(null);
-  const [names, setNames] = useState({});
-  const [eventId, setEventId] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [games, setGames] = useState([]); // { eventId, gameData } for every game the contest is played on
+  const [boards, setBoards] = useState([]);
+  const [adminProtected, setAdminProtected] = useState(true); // false for contests created before admin tokens
+  const [eventIds, setEventIds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [contestStatus, setContestStatus] = useState(null);
   const [isOffline, setIsOffline] = useState(false);
   const [offlineData, setOfflineData] = useState(null);
-  const [quarterPrizes, setQuarterPrizes] = useState(null);
+  const [currency, setCurrency] = useState(() => normalizeCurrency(null));
+  const [boardSize, setBoardSize] = useState(null);
+  const [axisOrientation, setAxisOrientation] = useState(null);
+  const [seasonId, setSeasonId] = useState(null);
+  const [simulation, setSimulation] = useState(null); // { team, points } previewed by the score simulator
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [replayPosition, setReplayPosition] = useState(null); // scoring plays replayed, or null when the timeline is closed
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false);
+  const [expandedEventId, setExpandedEventId] = useState(null); // payout row showing its quarter's scoring plays
+  // The viewer's name comes from ?player= or what they picked last time on this device, and
+  // follows the link when it changes without remounting the page
+  const playerStorageKey = `player_${documentId}`;
+  const playerParam = searchParams.get('player');
+  const [player, setPlayer] = useState(() => playerParam || localStorage.getItem(playerStorageKey) || null);
+  useEffect(() => {
+    setPlayer(playerParam || localStorage.getItem(playerStorageKey) || null);
+  }, [playerParam, playerStorageKey]);
   const intervalRef = useRef(null);
   const hasInitialFontSizing = useRef(false);
   const fontSizingKey = `fontSizing_${documentId}`;
+  
+  // Slate contests play one board across several games
+  const isSlate = eventIds.length > 1;
+  const gameData = games[0]?.gameData || null;
+  
+  // Boards that have started; ?board= picks one and the first is shown by default.
+  // Every board shares the game data, so switching boards doesn't refetch scores.
+  const startedBoards = useMemo(() => boards.filter(board => board.status !== CONTEST_STATUS.NEW), [boards]);
+  const activeBoard = findBoard(startedBoards, searchParams.get('board'));
+  
+  // Convert the active board's names to an object with 1-based indexing
+  const names = useMemo(() => {
+    const namesObject = {};
+    (activeBoard?.names || []).forEach((name, index) => {
+      namesObject[index + 1] = name;
+    });
+    return namesObject;
+  }, [activeBoard]);
+  
+  const quarterPrizes = activeBoard?.quarterPrizes || null;
+  const digits = useMemo(() => normalizeDigitAssignment(activeBoard?.digits), [activeBoard?.digits]);
+  const seed = activeBoard?.seed || null;
+  const seedHash = activeBoard?.seedHash || null;
+  const costPerSquare = activeBoard?.costPerSquare || 0;
+
+  // "What if" previews and win odds are for single-game contests still in play, outside a replay;
+  // neither touches the real game data
+  const isPredictable = Boolean(gameData) && !isSlate && replayPosition === null && !isGameCompleted(gameData.gameStatus);
+
+  // Win odds are the heaviest thing on the page, so they're only worked out again when the game
+  // or the board changes, not on every render. The odds only read the parts of the game copied
+  // here, and a refresh that brings back the same values keeps the same copy.
+  const contestRuleSet = useMemo(
+    () => getContestRuleSet({ quarterPrizes, digits, boardSize, axisOrientation }),
+    [quarterPrizes, digits, boardSize, axisOrientation]
+  );
+  const oddsGameKey = gameData ? JSON.stringify({
+    homeTeam: { lineScore: gameData.homeTeam.lineScore },
+    awayTeam: { lineScore: gameData.awayTeam.lineScore },
+    currentPeriod: gameData.currentPeriod,
+    clock: gameData.clock,
+    gameStatus: gameData.gameStatus,
+    scoringPlays: gameData.scoringPlays || []
+  }) : null;
+  const oddsGame = useMemo(() => (oddsGameKey ? JSON.parse(oddsGameKey) : null), [oddsGameKey]);
+  const winProbabilities = useMemo(() => {
+    if (!isPredictable || !showHeatmap) return null;
+    return getWinProbabilities(oddsGame, contestRuleSet, getPayoutEvents(oddsGame, contestRuleSet), costPerSquare);
+  }, [isPredictable, showHeatmap, oddsGame, contestRuleSet, costPerSquare]);
 
 
     // Fetch contest data and names
@@ -124,35 +224,34 @@ function Squares() {
           setOfflineData(data);
         }
            
-        // Store contest status for reference
-        const status = data.contest?.status || data.status;
-        setContestStatus(status);
-           
-        const contestNames = data.contest?.names || data.names || [];
+        // Extract every board with its names, payouts, digits, seed and status
+        setBoards(getContestBoards(data));
+        setAdminProtected(isAdminProtected(data));
+        
+        // Extract the currency that all amounts are shown in
+        const contestSettings = data.contest?.settings || data.settings;
+        setCurrency(normalizeCurrency(contestSettings?.currency));
+        
+        // Extract the board size that sets the grid shape
+        setBoardSize(contestSettings?.boardSize || null);
+        
+        // Extract which team's digits run across the top of the board
+        setAxisOrientation(contestSettings?.axisOrientation || null);
         
-        // Extract quarterPrizes from contest data
-        const contestQuarterPrizes = data.contest?.quarterPrizes || data.quarterPrizes;
-        setQuarterPrizes(contestQuarterPrizes);
+        // Extract the season this contest counts toward, if any
+        setSeasonId(contestSettings?.seasonId || null);
            
-        // Extract eventId from contest data
-        const contestEventId = data.contest?.eventId || data.eventId;
+        // Extract the eventIds of every game from contest data
+        const contestEventIds = getContestEventIds(data);
            
-        if (contestEventId) {
-          setEventId(contestEventId);
+        if (contestEventIds.length > 0) {
+          setEventIds(contestEventIds);
         } else {
           reportError(new Error('No eventId found in contest data'), 'validation', { contestId: documentId });
           setError("No event ID found in contest data");
           setLoading(false);
           return;
         }
-           
-        // Convert array to object with 1-based indexing
-        const namesObject = {};
-        contestNames.forEach((name, index) => {
-          namesObject[index + 1] = name;
-        });
-           
-        setNames(namesObject);
       } catch (err) {
         reportError(err, 'network', { operation: 'fetchContestData', contestId: documentId });
         setError("Failed to fetch contest data");
@@ -166,54 +265,40 @@ function Squares() {
   }, [documentId]);
 
   useEffect(() => {
-    if (!eventId) return; // Don't fetch game data until we have the eventId
+    if (eventIds.length === 0) return; // Don't fetch game data until we have the eventIds
 
     async function fetchGameData(showLoading = true) {
       try {
         if (showLoading) {
           setLoading(true);
         }
-        const data = await getNFLGameData(eventId);
+        // Every game on a slate refreshes together
+        const results = await Promise.all(eventIds.map(eventId => getNFLGameData(eventId)));
         
-        if (data) {
+        if (results.every(Boolean)) {
           // Check if this is offline data
-          if (data._isOffline) {
+          const offlineResult = results.find(data => data._isOffline);
+          if (offlineResult) {
             setIsOffline(true);
-            setOfflineData(data);
+            setOfflineData(offlineResult);
           }
           
           // Transform the API data to match our expected format
-          const transformedData = {
-             homeTeam: {
-               name: data.homeTeam.name,
-               score: parseInt(data.homeTeam.score),
-               lineScore: data.homeTeam.lineScore.map(scoreObj => parseInt(scoreObj.value) || 0)
-             },
-             awayTeam: {
-               name: data.awayTeam.name,
-               score: parseInt(data.awayTeam.score),
-               lineScore: data.awayTeam.lineScore.map(scoreObj => parseInt(scoreObj.value) || 0)
-             },
-             currentPeriod: data.period,
-             clock: data.clock,
-             gameStatus: data.gameStatus
-           };
-           
-          setGameData(transformedData);
+          setGames(results.map((data, index) => ({ eventId: eventIds[index], gameData: transformGameData(data) })));
           
-          // If game is completed, clear the interval to stop fetching
-          if (isGameCompleted(data.gameStatus) && intervalRef.current) {
+          // If every game is completed, clear the interval to stop fetching
+          if (results.every(data => isGameCompleted(data.gameStatus)) && intervalRef.current) {
             clearInterval(intervalRef.current);
             intervalRef.current = null;
           }
         } else {
-          reportError(new Error('No game data returned from API'), 'server', { eventId });
+          reportError(new Error('No game data returned from API'), 'server', { eventIds });
           if (showLoading) {
             setError("Failed to fetch game data");
           }
         }
       } catch (err) {
-        reportError(err, 'network', { operation: 'fetchGameData', eventId });
+        reportError(err, 'network', { operation: 'fetchGameData', eventIds });
         if (showLoading) {
           setError(err.message);
         }
@@ -239,7 +324,7 @@ function Squares() {
         intervalRef.current = null;
       }
     };
-  }, [eventId]);
+  }, [eventIds]);
 
   // Font sizing effect - happens on every page load, not on data refresh (mobile only)
   useEffect(() => {
@@ -259,8 +344,32 @@ function Squares() {
     }
   }, [names, gameData, fontSizingKey]);
 
-  // Function to get the last digit of a number
-  const getLastDigit = (num) => num % 10;
+  // Switch boards without refetching; names on the new board get their own font sizing pass
+  const selectBoard = (boardId) => {
+    hasInitialFontSizing.current = false;
+    setSearchParams(params => {
+      params.set('board', boardId);
+      return params;
+    }, { replace: true });
+  };
+
+  // Remember the viewer's name on this device and keep it in the link they share
+  const choosePlayer = (name) => {
+    setPlayer(name);
+    if (name) {
+      localStorage.setItem(playerStorageKey, name);
+    } else {
+      localStorage.removeItem(playerStorageKey);
+    }
+    setSearchParams(params => {
+      if (name) {
+        params.set('player', name);
+      } else {
+        params.delete('player');
+      }
+      return params;
+    }, { replace: true });
+  };
 
   // Function to highlight the last digit in a score
   const highlightLastDigit = (score) => {
@@ -275,83 +384,184 @@ function Squares() {
     );
   };
 
-  // Function to calculate cumulative scores for a period
-  const getCumulativeScores = (period) => {
-    let homeTotal = 0;
-    let awayTotal = 0;
-    
-    // Add up all periods up to the current period
-    for (let i = 0; i < period; i++) {
-      const homeScore = gameData.homeTeam.lineScore[i] || 0;
-      const awayScore = gameData.awayTeam.lineScore[i] || 0;
-      homeTotal += homeScore;
-      awayTotal += awayScore;
+  // Function to find the winner's name for a payout event
+  const getEventWinnerName = (event) => {
+    if (!event.square) {
+      return null; // Event hasn't been reached yet
     }
     
-    return { home: homeTotal, away: awayTotal };
+    return names[event.square.gridIndex] || `Name ${event.square.gridIndex}`;
   };
 
-
-
-  // Function to find the winner's name for a specific quarter
-  const getQuarterWinnerName = (quarter) => {
-    if (!gameData || quarter > gameData.currentPeriod) {
-      return null; // Quarter hasn't been played yet
+  // Function to determine if a square should be colored and which events it won.
+  // Reverse and neighbor side prizes are reported separately so they get their own style.
+  const getSquareInfo = (payoutEvents, gridIndex) => {
+    const squareEvents = getSquareEvents(payoutEvents, gridIndex);
+    const winningEvents = squareEvents.filter(event => !SECONDARY_RULES.includes(event.rule));
+    const isSecondary = squareEvents.length > winningEvents.length;
+    
+    if (winningEvents.length > 0) {
+      const ongoingEvents = winningEvents.filter(event => event.status === EVENT_STATUS.LIVE);
+      return { 
+        isColored: true, 
+        isSecondary,
+        events: winningEvents,
+        quarterText: winningEvents.map(event => event.label).join(','),
+        hasOngoingQuarter: ongoingEvents.length > 0
+      };
     }
+    
+    return { isColored: false, isSecondary, events: [], quarterText: null, hasOngoingQuarter: false };
+  };
 
-    const scores = getCumulativeScores(quarter);
-    const homeLastDigit = getLastDigit(scores.home);
-    const awayLastDigit = getLastDigit(scores.away);
+  // Function to render the reverse and neighbor side prizes under their main payout row
+  const renderSecondaryRows = (payoutEvents, event) => {
+    const secondaryEvents = payoutEvents.filter(secondary => secondary.parentId === event.id);
+    if (secondaryEvents.length === 0) {
+      return null;
+    }
     
-    // Calculate the grid index for the winning square
-    // Row represents away team digit, Column represents home team digit
-    const rowIndex = awayLastDigit;
-    const colIndex = homeLastDigit;
-    const gridIndex = rowIndex * 10 + colIndex + 1;
+    const reverseEvent = secondaryEvents.find(secondary => secondary.rule === PAYOUT_RULES.REVERSE);
+    const neighborEvents = secondaryEvents.filter(secondary => secondary.rule === PAYOUT_RULES.NEIGHBOR);
     
-    return names[gridIndex] || `Name ${gridIndex}`;
+    return (
+      <span className="secondary-payouts">
+        {reverseEvent && (
+          <span className="secondary-payout">
+            Reverse → {sanitizeHtml(getEventWinnerName(reverseEvent))}
+            <span className="quarter-prize">{formatAmount(reverseEvent.amount, currency)}</span>
+          </span>
+        )}
+        {neighborEvents.length > 0 && (
+          <span className="secondary-payout">
+            Neighbors → {neighborEvents.map(neighbor => sanitizeHtml(getEventWinnerName(neighbor))).join(', ')}
+            <span className="quarter-prize">
+              {formatAmount(fromCents(neighborEvents.reduce((sum, neighbor) => sum + toCents(neighbor.amount), 0)), currency)} split
+            </span>
+          </span>
+        )}
+      </span>
+    );
   };
 
-  // Function to determine if a square should be colored and which quarters it won
-  const getSquareInfo = (homeDigit, awayDigit) => {
-    const winningQuarters = [];
-    const finalQuarters = [];
-    const ongoingQuarters = [];
+  // Function to render where pot money that no payout claims goes (house cut or refund)
+  const renderUnallocatedRow = (unallocated, totalSquares) => {
+    if (!unallocated || (unallocated.houseAmount <= 0 && unallocated.refundAmount <= 0)) {
+      return null;
+    }
     
-    // Check each period to see if this square should be colored
-    for (let period = 1; period <= gameData.currentPeriod; period++) {
-      const scores = getCumulativeScores(period);
-      const homeLastDigit = getLastDigit(scores.home);
-      const awayLastDigit = getLastDigit(scores.away);
-      
-      // If this square matches the last digits for this period, add it to winning quarters
-      if (homeLastDigit === homeDigit && awayLastDigit === awayDigit) {
-        winningQuarters.push(period);
-        
-        // Categorize as final or ongoing
-        if (gameData.currentPeriod > period) {
-          finalQuarters.push(period);
-        } else {
-          ongoingQuarters.push(period);
-        }
-      }
+    if (unallocated.policy === UNALLOCATED_POLICIES.REFUND) {
+      const shares = getRefundShares(unallocated.refundAmount, totalSquares);
+      const lowest = shares[shares.length - 1];
+      return (
+        <span className="quarter-score active">
+          Refund: {formatAmount(lowest, currency)}{shares[0] !== lowest && `-${formatAmount(shares[0], currency)}`} per square
+          <span className="quarter-prize">{formatAmount(unallocated.refundAmount, currency)}</span>
+        </span>
+      );
     }
     
-    if (winningQuarters.length > 0) {
-      return { 
-        isColored: true, 
-        quarters: winningQuarters,
-        finalQuarters: finalQuarters,
-        ongoingQuarters: ongoingQuarters,
-        quarterText: winningQuarters.map(q => `Q${q}`).join(','),
-        hasOngoingQuarter: ongoingQuarters.length > 0
-      };
+    return (
+      <span className="quarter-score active">
+        House / Charity
+        <span className="quarter-prize">{formatAmount(unallocated.houseAmount, currency)}</span>
+      </span>
+    );
+  };
+
+  // Function to render the scoring play that set a payout row's digits, with the quarter's plays on request
+  const renderEventPlays = (event, game) => {
+    const { decidingPlay, plays } = getEventPlays(game, event);
+    const isExpanded = expandedEventId === event.id;
+    const getTeamName = (play) => (play.team === 'home' ? game.homeTeam.name
+      : play.team === 'away' ? game.awayTeam.name
+      : null);
+    const describePlay = (play) => [
+      [getPeriodLabel(play.period), play.clock].filter(Boolean).join(' '),
+      getTeamName(play),
+      play.text
+    ].filter(Boolean).join(' · ');
+    
+    if (!decidingPlay && plays.length === 0) {
+      return null;
     }
     
-    return { isColored: false, quarters: [], finalQuarters: [], ongoingQuarters: [], quarterText: null, hasOngoingQuarter: false };
+    return (
+      <span className="event-plays">
+        {decidingPlay && <span className="play-attribution">{describePlay(decidingPlay)}</span>}
+        {plays.length > 0 && (
+          <button
+            type="button"
+            className="play-toggle"
+            onClick={() => setExpandedEventId(isExpanded ? null : event.id)}
+            aria-expanded={isExpanded}
+          >
+            {isExpanded ? 'Hide' : 'Show'} {plays.length} scoring play{plays.length === 1 ? '' : 's'}
+          </button>
+        )}
+        {isExpanded && (
+          <ol className="play-list">
+            {plays.map((play, index) => (
+              <li key={`${play.id}-${index}`}>
+                {describePlay(play)} ({play.homeScore}-{play.awayScore})
+              </li>
+            ))}
+          </ol>
+        )}
+      </span>
+    );
   };
 
+  // Function to render the payout rows shown in both the desktop and mobile status panels.
+  // Every-score payouts are listed in the score ledger and time-held shares in their leaderboard.
+  const renderPayoutRows = (payoutEvents, game = gameData) => {
+    const lastCheckpoint = payoutEvents.filter(event => event.rule === PAYOUT_RULES.CHECKPOINT).pop();
+    const mainEvents = payoutEvents.filter(event =>
+      event.rule === PAYOUT_RULES.CHECKPOINT || event.rule === PAYOUT_RULES.OVERTIME
+    );
+    
+    return mainEvents.map(event => {
+      const isActive = event.status !== EVENT_STATUS.PENDING;
+      const winnerName = getEventWinnerName(event);
+      // The Q4 checkpoint reads as 'Final' once the game ends; organizer-chosen labels are kept
+      const isFinalEvent = event === lastCheckpoint && event.id === 'quarter4' &&
+        event.period === (game.currentPeriod || 0) &&
+        isGameCompleted(game.gameStatus);
+      
+      return (
+        <span key={event.id} className={`quarter-score ${isActive ? 'active' : 'inactive'}`}>
+          {isFinalEvent ? 'Final' : event.label}: {game.homeTeam.name} {highlightLastDigit(event.scores.home)}-{highlightLastDigit(event.scores.away)} {game.awayTeam.name}
+          {winnerName && <span className="winner-name"> → {sanitizeHtml(winnerName)}</span>}
+          {event.amount > 0 && (
+            <span className="quarter-prize">
+              {formatAmount(event.amount, currency)}
+            </span>
+          )}
+          {renderSecondaryRows(payoutEvents, event)}
+          {isActive && renderEventPlays(event, game)}
+        </span>
+      );
+    });
+  };
 
+  // Function to render the combined results feed for a slate: each game's status and payout rows
+  const renderSlateFeed = (payoutEvents) => {
+    return games.map(({ eventId, gameData: game }) => {
+      const status = isGameCompleted(game.gameStatus) ? 'Final'
+        : game.gameStatus === 'pre' ? 'Not started'
+        : `${game.currentPeriod > 4 ? 'OT' : `Q${Math.max(1, game.currentPeriod || 1)}`} ${game.clock || '00:00'}`;
+      
+      return (
+        <div key={eventId} className="slate-game">
+          <div className="slate-game-header">
+            <span>{game.awayTeam.name} {game.awayTeam.score} @ {game.homeTeam.name} {game.homeTeam.score}</span>
+            <span className="clock">{status}</span>
+          </div>
+          {renderPayoutRows(payoutEvents.filter(event => event.eventId === eventId), game)}
+        </div>
+      );
+    });
+  };
 
   // If there's an error, show it immediately
   if (error) {
@@ -364,18 +574,37 @@ function Squares() {
     );
   }
 
-  // If contest has not started (status is 'new'), show message
-  if (contestStatus === 'new') {
+  // The organizer's device keeps the admin token, so it gets a way back to the admin page
+  // and can keep recording payments once the board has started. Contests created before admin
+  // tokens have none, so they keep the old open access.
+  const adminToken = getAdminToken(documentId);
+  const isOrganizer = Boolean(adminToken) || !adminProtected;
+  const setBoardPayments = (boardId, payments) => {
+    setBoards(prev => prev.map(board => (board.id === boardId ? { ...board, payments } : board)));
+  };
+
+  // If no board has started (status is 'new'), show message
+  if (boards.length > 0 && startedBoards.length === 0) {
     return (
       <div className="App">
         <div className="error-container">
           <div className="error-text">Contest has not started!</div>
+          {boards.map(board => (
+            <SeedCommitment
+              key={board.id || 'main'}
+              seedHash={board.seedHash}
+              label={boards.length > 1 ? board.label : null}
+            />
+          ))}
+          {isOrganizer && (
+            <Link to={`/contests/${documentId}/admin`} className="toolbar-button">Enter Names</Link>
+          )}
         </div>
       </div>
     );
   }
 
-  if (loading || Object.keys(names).length === 0 || !eventId) {
+  if (loading || Object.keys(names).length === 0 || eventIds.length === 0) {
     return (
       <div className="App">
         <div className="loading-container">
@@ -396,6 +625,57 @@ function Squares() {
     );
   }
 
+  // The replay timeline shows the board as it stood after a number of scoring plays; its last
+  // position is the game as it stands now. Slates don't replay, since their games run side by side.
+  const replayPlays = isSlate ? [] : (gameData.scoringPlays || []);
+  const isReplayOpen = replayPosition !== null;
+  const displayGame = isReplayOpen && replayPosition < replayPlays.length
+    ? getReplayGameData(gameData, replayPosition)
+    : gameData;
+  
+  const toggleReplay = () => {
+    setIsReplayPlaying(false);
+    setReplayPosition(isReplayOpen ? null : replayPlays.length);
+  };
+  
+  // Header digits follow the current quarter when numbers are re-drawn every quarter.
+  // Slates always use one set of numbers, since their games are in different quarters.
+  const boardDigits = getDigitsForPeriod(digits, isSlate ? 1 : displayGame.currentPeriod);
+  
+  // Every payout event for this contest's rules, used by the grid and the status panels.
+  // A slate splits the pot between its games and pays each game's checkpoints from its share.
+  const contest = { quarterPrizes, digits, boardSize, axisOrientation };
+  const slateRuleSets = isSlate ? getSlateRuleSets(contest, games.length) : null;
+  const ruleSet = isSlate ? slateRuleSets[0] : contestRuleSet;
+  const payoutEvents = isSlate ? getSlatePayoutEvents(games, slateRuleSets) : getPayoutEvents(displayGame, ruleSet);
+  const unallocated = isSlate ? getSlateUnallocated(slateRuleSets) : ruleSet.unallocated;
+  const timeHeldEvents = payoutEvents.filter(event => event.rule === PAYOUT_RULES.TIME_HELD);
+  
+  const simulatedPreview = isPredictable && simulation
+    ? simulateScore(gameData, ruleSet, simulation.team, simulation.points)
+    : null;
+  const formatChance = (chance) => `${Math.round(chance * 100)}%`;
+  const { layout } = ruleSet;
+  const colHeaders = groupDigits(boardDigits.cols, layout.cols);
+  const rowHeaders = groupDigits(boardDigits.rows, layout.rows);
+  
+  // The viewer's squares are outlined on the grid and summarized in their panel
+  const boardNames = activeBoard?.names || [];
+  const playerSquares = getPlayerSquares(boardNames, player);
+  const playerSummary = player ? getPlayerSummary(boardNames, player, displayGame, ruleSet, payoutEvents) : null;
+
+  // Paid marks only show once the organizer has started recording payments for the board
+  const boardPayments = activeBoard?.payments || {};
+  const isTrackingPayments = Object.keys(boardPayments).length > 0;
+  
+  // The team on the columns is shown above the grid and the team on the rows beside it
+  const columnTeam = layout.homeOnRows
+    ? { label: 'Away', team: displayGame.awayTeam }
+    : { label: 'Home', team: displayGame.homeTeam };
+  const rowTeam = layout.homeOnRows
+    ? { label: 'Home', team: displayGame.homeTeam }
+    : { label: 'Away', team: displayGame.awayTeam };
+
   return (
     <div className="App">
       <NetworkStatus />
@@ -412,91 +692,196 @@ function Squares() {
           </div>
         </div>
       )}
+      <div className="squares-toolbar">
+        <BoardSwitcher
+          boards={startedBoards}
+          activeBoardId={activeBoard?.id}
+          onSelect={selectBoard}
+          currency={currency}
+        />
+        <FairnessPanel seed={seed} seedHash={seedHash} digits={digits} names={boardNames} namesDigest={activeBoard?.namesDigest} />
+        <MySquares
+          playerNames={getPlayerNames(boardNames)}
+          player={player}
+          onPlayerChange={choosePlayer}
+          summary={playerSummary}
+          showDistance={!isSlate && !isGameCompleted(displayGame.gameStatus)}
+          homeTeamName={isSlate ? 'Home' : displayGame.homeTeam.name}
+          awayTeamName={isSlate ? 'Away' : displayGame.awayTeam.name}
+          currency={currency}
+        />
+        <Link to={`/contests/${documentId}/results`} className="toolbar-button">
+          Results
+        </Link>
+        {isOrganizer && activeBoard && (
+          <PaymentTracker
+            contestId={documentId}
+            adminToken={adminToken}
+            board={activeBoard}
+            names={boardNames}
+            onPaymentsChange={setBoardPayments}
+            currency={currency}
+          />
+        )}
+        {isOrganizer && startedBoards.length < boards.length && (
+          <Link to={`/contests/${documentId}/admin`} className="toolbar-button">
+            Manage
+          </Link>
+        )}
+        {seasonId && (
+          <Link to={`/seasons/${encodeURIComponent(seasonId)}`} className="toolbar-button">
+            Season Standings
+          </Link>
+        )}
+        {replayPlays.length > 0 && (
+          <button
+            type="button"
+            className={`toolbar-button ${isReplayOpen ? 'active' : ''}`}
+            onClick={toggleReplay}
+          >
+            Replay
+          </button>
+        )}
+        {isPredictable && (
+          <button
+            type="button"
+            className={`toolbar-button ${showHeatmap ? 'active' : ''}`}
+            onClick={() => setShowHeatmap(!showHeatmap)}
+          >
+            Win Odds
+          </button>
+        )}
+        {isPredictable && (
+          <ScoreSimulator
+            homeTeamName={displayGame.homeTeam.name}
+            awayTeamName={displayGame.awayTeam.name}
+            simulation={simulation}
+            preview={simulatedPreview}
+            onSimulate={setSimulation}
+            getWinnerName={(preview) => sanitizeHtml(getEventWinnerName(preview))}
+          />
+        )}
+        {ruleSet.scoreChange.amount > 0 && (
+          <ScoreLedger
+            events={payoutEvents.filter(event => event.rule === PAYOUT_RULES.SCORE_CHANGE)}
+            homeTeamName={displayGame.homeTeam.name}
+            awayTeamName={displayGame.awayTeam.name}
+            getWinnerName={(event) => sanitizeHtml(getEventWinnerName(event))}
+            currency={currency}
+          />
+        )}
+      </div>
       <div className="grid-container">
         {/* Main grid area */}
         <div className="grid-area">
-          {/* Home team above grid */}
+          {/* Column team above grid */}
           <div className="home-team-header">
             <div className="team-display">
-              <span className="team-name">{gameData.homeTeam.name}</span>
-              <span className="score">{gameData.homeTeam.score}</span>
+              <span className="team-name">{isSlate ? columnTeam.label : columnTeam.team.name}</span>
+              {!isSlate && <span className="score">{columnTeam.team.score}</span>}
             </div>
             {/* Game Status - desktop only */}
             <div className="game-status-desktop">
-              {gameData.gameStatus !== 'pre' && (
+              {!isSlate && displayGame.gameStatus !== 'pre' && (
                 <div className="game-time-row">
                   <span className="quarter">
-                    {gameData.currentPeriod > 4 ? 'OT' : `Q${Math.max(1, gameData.currentPeriod || 1)}`}
+                    {displayGame.currentPeriod > 4 ? 'OT' : `Q${Math.max(1, displayGame.currentPeriod || 1)}`}
                   </span>
-                  <span className="clock">{gameData.clock || '00:00'}</span>
+                  <span className="clock">{displayGame.clock || '00:00'}</span>
                 </div>
               )}
-              <div className="quarter-scores-desktop">
-                {Array.from({ length: Math.max(4, gameData.currentPeriod || 4) }, (_, i) => i + 1).map(quarter => {
-                  const scores = getCumulativeScores(quarter);
-                  const isActive = quarter <= (gameData.currentPeriod || 0);
-
-                  const winnerName = getQuarterWinnerName(quarter);
-                  const quarterPrize = quarterPrizes?.[`quarter${Math.min(quarter, 4)}`];
-                  const isFinalPeriod = quarter === (gameData.currentPeriod || 0) && gameData.gameStatus === 'STATUS_FINAL';
-                  return (
-                    <span key={quarter} className={`quarter-score ${isActive ? 'active' : 'inactive'}`}>
-                      {isFinalPeriod ? 'Final' : (quarter > 4 ? 'OT' : `Q${quarter}`)}: {gameData.homeTeam.name} {highlightLastDigit(scores.home)}-{highlightLastDigit(scores.away)} {gameData.awayTeam.name}
-                      {winnerName && <span className="winner-name"> → {sanitizeHtml(winnerName)}</span>}
-                      {quarterPrize && (
-                        <span className="quarter-prize">
-                          ${quarterPrize.toLocaleString()}
-                        </span>
-                      )}
-                    </span>
-                  );
-                })}
+              <div className={`quarter-scores-desktop ${isSlate ? 'slate-feed' : ''}`}>
+                {isSlate ? renderSlateFeed(payoutEvents) : renderPayoutRows(payoutEvents, displayGame)}
+                <TimeHeldLeaderboard
+                  events={timeHeldEvents}
+                  getWinnerName={(event) => sanitizeHtml(getEventWinnerName(event))}
+                  currency={currency}
+                />
+                {renderUnallocatedRow(unallocated, layout.totalSquares)}
               </div>
             </div>
           </div>
           
-          {/* Grid content with away team sidebar and grid */}
+          {isReplayOpen && (
+            <ReplayTimeline
+              plays={replayPlays}
+              position={replayPosition}
+              onChange={setReplayPosition}
+              isPlaying={isReplayPlaying}
+              onPlayingChange={setIsReplayPlaying}
+              homeTeamName={gameData.homeTeam.name}
+              awayTeamName={gameData.awayTeam.name}
+            />
+          )}
+          
+          {winProbabilities && (
+            <div className="heatmap-legend">
+              Shading shows each square's chance of holding the numbers at the end of this quarter; hover a square for the rest of the game.
+              Rough estimates from league-wide NFL scoring rates, not a prediction for this matchup.
+            </div>
+          )}
+          
+          {/* Grid content with row team sidebar and grid */}
           <div className="grid-content">
-            {/* Away team on the left */}
+            {/* Row team on the left */}
             <div className="away-team-sidebar">
               <div className="team-display">
-                <span className="team-name">{gameData.awayTeam.name}</span>
-                <span className="score">{gameData.awayTeam.score}</span>
+                <span className="team-name">{isSlate ? rowTeam.label : rowTeam.team.name}</span>
+                {!isSlate && <span className="score">{rowTeam.team.score}</span>}
               </div>
             </div>
             
-            <div className="grid-wrapper">
+            <div className="grid-wrapper" style={{ '--board-columns': layout.cols }}>
               {/* Top row headers (column numbers) */}
               <div className="header-row">
-                <div className="corner-cell"></div>
-                {Array.from({ length: 10 }, (_, i) => (
-                  <div key={`col-${i}`} className="header-cell">
-                    {i}
+                <div className="corner-cell">
+                  {digits.quarters && (
+                    <span className="digit-period-label">
+                      {displayGame.currentPeriod > 4 ? 'OT' : `Q${Math.max(1, displayGame.currentPeriod || 1)}`}
+                    </span>
+                  )}
+                </div>
+                {colHeaders.map((cellDigits, i) => (
+                  <div key={`col-${i}`} className={`header-cell ${cellDigits.length > 1 ? 'multi-digit' : ''}`}>
+                    {cellDigits.join(' ')}
                   </div>
                 ))}
               </div>
               
               {/* Grid with row headers */}
               <div className="grid-with-headers">
-                {Array.from({ length: 10 }, (_, rowIndex) => (
+                {rowHeaders.map((cellDigits, rowIndex) => (
                   <div key={`row-${rowIndex}`} className="grid-row">
                     {/* Row header */}
-                    <div className="header-cell">
-                      {rowIndex}
+                    <div className={`header-cell ${cellDigits.length > 1 ? 'multi-digit' : ''}`}>
+                      {cellDigits.join(' ')}
                     </div>
                     {/* Grid items for this row */}
-                    {Array.from({ length: 10 }, (_, colIndex) => {
-                      const gridIndex = rowIndex * 10 + colIndex + 1;
-                      const homeDigit = colIndex; // Column represents home team digit
-                      const awayDigit = rowIndex;  // Row represents away team digit
-                      const squareInfo = getSquareInfo(homeDigit, awayDigit);
+                    {Array.from({ length: layout.cols }, (_, colIndex) => {
+                      const gridIndex = rowIndex * layout.cols + colIndex + 1;
+                      const squareInfo = getSquareInfo(payoutEvents, gridIndex);
+                      const isGhost = simulatedPreview?.square?.gridIndex === gridIndex;
+                      const odds = winProbabilities?.[gridIndex];
                       
                       return (
                         <div 
                           key={gridIndex} 
-                          className={`grid-item ${squareInfo.isColored ? 'colored-square' : ''}`}
+                          className={`grid-item ${squareInfo.isColored ? 'colored-square' : ''} ${squareInfo.isSecondary && !squareInfo.isColored ? 'secondary-square' : ''} ${isGhost ? 'ghost-square' : ''} ${playerSquares.includes(gridIndex) ? 'my-square' : ''}`}
+                          style={odds ? { '--heat': Math.min(1, odds.quarter * 4) } : undefined}
+                          title={odds
+                            ? `This quarter: ${formatChance(odds.quarter)} · Rest of game: ${formatChance(odds.game)} · EV: ${formatAmount(fromCents(Math.round(odds.expectedValue * 100)), currency)}`
+                            : undefined}
                         >
+                          {odds && <div className="heat-overlay" />}
+                          {isTrackingPayments && isSquarePaid(boardNames, boardPayments, gridIndex) && (
+                            <span className="paid-badge" title="Paid" aria-label="Paid">✓</span>
+                          )}
                           <div className="name">{names[gridIndex] ? sanitizeHtml(names[gridIndex]) : `Name ${gridIndex}`}</div>
+                          {odds && (
+                            <div className="heat-readout">
+                              {formatChance(odds.quarter)} · EV {formatAmount(fromCents(Math.round(odds.expectedValue * 100)), currency)}
+                            </div>
+                          )}
                         </div>
                       );
                     })}
@@ -508,34 +893,22 @@ function Squares() {
           
           {/* Game Status - mobile only */}
           <div className="game-status-mobile">
-            {gameData.gameStatus !== 'pre' && (
+            {!isSlate && displayGame.gameStatus !== 'pre' && (
               <>
                 <span className="quarter">
-                  {gameData.currentPeriod > 4 ? 'OT' : `Q${Math.max(1, gameData.currentPeriod || 1)}`}
+                  {displayGame.currentPeriod > 4 ? 'OT' : `Q${Math.max(1, displayGame.currentPeriod || 1)}`}
                 </span>
-                <span className="clock">{gameData.clock || '00:00'}</span>
+                <span className="clock">{displayGame.clock || '00:00'}</span>
               </>
             )}
-            <div className="quarter-scores-mobile">
-              {Array.from({ length: Math.max(4, gameData.currentPeriod || 4) }, (_, i) => i + 1).map(quarter => {
-                const scores = getCumulativeScores(quarter);
-                const isActive = quarter <= (gameData.currentPeriod || 0);
-
-                const winnerName = getQuarterWinnerName(quarter);
-                const quarterPrize = quarterPrizes?.[`quarter${quarter}`];
-                const isFinalPeriod = quarter === (gameData.currentPeriod || 0) && gameData.gameStatus === 'STATUS_FINAL';
-                return (
-                  <span key={quarter} className={`quarter-score ${isActive ? 'active' : 'inactive'}`}>
-                    {isFinalPeriod ? 'Final' : `Q${quarter}`}: {gameData.homeTeam.name} {highlightLastDigit(scores.home)}-{highlightLastDigit(scores.away)} {gameData.awayTeam.name}
-                    {winnerName && <span className="winner-name"> → {sanitizeHtml(winnerName)}</span>}
-                    {quarterPrize && (
-                      <span className="quarter-prize">
-                        ${quarterPrize.toLocaleString()}
-                      </span>
-                    )}
-                  </span>
-                );
-              })}
+            <div className={`quarter-scores-mobile ${isSlate ? 'slate-feed' : ''}`}>
+              {isSlate ? renderSlateFeed(payoutEvents) : renderPayoutRows(payoutEvents, displayGame)}
+              <TimeHeldLeaderboard
+                events={timeHeldEvents}
+                getWinnerName={(event) => sanitizeHtml(getEventWinnerName(event))}
+                currency={currency}
+              />
+              {renderUnallocatedRow(unallocated, layout.totalSquares)}
             </div>
           </div>
         </div>
@@ -0,0 +1,47 @@
+import React from 'react';
+import { formatAmount } from '../utils/currency';
+import { toCents, fromCents } from '../utils/payoutAllocation';
+import { EVENT_STATUS } from '../utils/scoringEngine';
+
+// Game clock seconds as minutes and seconds, e.g. 754 -> '12:34'
+const formatMinutes = (seconds) => {
+  const wholeSeconds = Math.round(seconds);
+  return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+};
+
+// Live leaderboard for time-held contests: how long each square has held the winning numbers and its share of the prize
+function TimeHeldLeaderboard({ events, getWinnerName, currency }) {
+  if (events.length === 0) {
+    return null;
+  }
+
+  // A slate adds up each square's time across its games; totals are kept in cents
+  const rowsBySquare = new Map();
+  events.forEach(event => {
+    const row = rowsBySquare.get(event.square.gridIndex) || { event, seconds: 0, cents: 0, isCurrent: false };
+    row.seconds += event.seconds;
+    row.cents += toCents(event.amount);
+    row.isCurrent = row.isCurrent || event.isCurrent;
+    rowsBySquare.set(event.square.gridIndex, row);
+  });
+  const rows = [...rowsBySquare.values()].sort((a, b) => b.seconds - a.seconds);
+  const isFinal = events.every(event => event.status === EVENT_STATUS.FINAL);
+
+  return (
+    <div className="time-held-leaderboard">
+      <span className="time-held-title">Minutes Held</span>
+      {rows.map(({ event, seconds, cents, isCurrent }, index) => (
+        <span key={event.square.gridIndex} className={`quarter-score active time-held-row ${isCurrent ? 'current' : ''}`}>
+          {index + 1}. {getWinnerName(event)}
+          <span className="time-held-minutes">{formatMinutes(seconds)}</span>
+          <span className="quarter-prize">{formatAmount(fromCents(cents), currency)}</span>
+        </span>
+      ))}
+      {!isFinal && (
+        <span className="time-held-note">Shares keep moving until the final whistle.</span>
+      )}
+    </div>
+  );
+}
+
+export default TimeHeldLeaderboard;
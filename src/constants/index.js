@@ -4,6 +4,19 @@
 export const GRID_SIZE = 10;
 export const TOTAL_SQUARES = 100;
 
+// Board Sizes (columns x rows); columns hold home digits, rows hold away digits
+export const BOARD_SIZES = {
+  STANDARD: '10x10',
+  HALF: '10x5',
+  SMALL: '5x5'
+};
+
+// Which team's digits run across the top of the board; the other team's run down the side
+export const AXIS_ORIENTATIONS = {
+  HOME_COLUMNS: 'homeColumns',
+  HOME_ROWS: 'homeRows'
+};
+
 // Contest Status
 export const CONTEST_STATUS = {
   NEW: 'new',
@@ -11,6 +24,15 @@ export const CONTEST_STATUS = {
   COMPLETED: 'completed'
 };
 
+// Digit Assignment Modes
+export const DIGIT_MODES = {
+  FIXED: 'fixed',
+  PER_QUARTER: 'perQuarter'
+};
+
+// Number of regulation quarters that get their own digits in per-quarter mode
+export const REGULATION_QUARTERS = 4;
+
 // Default Values
 export const DEFAULT_COST_PER_SQUARE = 10;
 export const MIN_COST_PER_SQUARE = 1;
@@ -19,6 +41,7 @@ export const MAX_COST_PER_SQUARE = 1000; // Updated to match backend
 // API Endpoints
 export const API_ENDPOINTS = {
   CONTESTS: '/contests',
+  SEASONS: '/seasons',
   GAMES: '/games'
 };
 
@@ -0,0 +1,18 @@
+// NFL scoring frequencies used by the win-probability heatmap.
+//
+// These are rounded league-wide averages, bundled with the app so the heatmap works
+// offline. They describe a typical team in a typical game; they are not fitted to any
+// matchup, score or game situation.
+
+// Scoring plays per team per minute of game clock (about 4.1 per team per game:
+// roughly 2.5 touchdowns, 1.6 field goals and an occasional safety)
+export const SCORING_EVENTS_PER_MINUTE = 0.068;
+
+// Share of scoring plays by the points they add, conversion attempts included
+export const POINTS_PER_SCORE_FREQUENCIES = [
+  { points: 2, frequency: 0.007 }, // Safety
+  { points: 3, frequency: 0.387 }, // Field goal
+  { points: 6, frequency: 0.070 }, // Touchdown with a missed or no conversion
+  { points: 7, frequency: 0.513 }, // Touchdown and extra point
+  { points: 8, frequency: 0.023 }  // Touchdown and two-point conversion
+];
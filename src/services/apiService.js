@@ -4,9 +4,13 @@ import { handleAsyncOperation, getErrorMessage } from '../utils/errorHandler';
 import { secureFetch } from '../utils/securityUtils';
 import { storeContestData, getContestData } from '../utils/offlineStorage';
 import { createRetryableOperation } from '../utils/retryUtils';
+import { ADMIN_TOKEN_HEADER } from '../utils/adminAccess';
 
 const API_BASE_URL = config.API_BASE_URL;
 
+// Headers for calls only the organizer may make
+const getAdminHeaders = (adminToken) => (adminToken ? { [ADMIN_TOKEN_HEADER]: adminToken } : {});
+
 // Contest API calls
 export const contestAPI = {
   // Get contest by ID
@@ -42,15 +46,21 @@ export const contestAPI = {
     });
   }, 'aggressive'),
 
-  // Create new contest
-  createContest: async (eventId, costPerSquare, quarterPrizes) => {
+  // Create new contest; extra price tiers are sent as boards that share the event, and slate
+  // contests list every game in eventIds (eventId holds the first). The API commits to a secret
+  // seed per board and publishes its seedHash. The response carries the admin token that later
+  // edits must send.
+  createContest: async (eventId, costPerSquare, quarterPrizes, settings = {}, boards = [], eventIds = []) => {
     return handleAsyncOperation(async () => {
       const response = await secureFetch(`${API_BASE_URL}/contests`, {
         method: 'POST',
         body: JSON.stringify({
           eventId,
           costPerSquare,
-          quarterPrizes
+          quarterPrizes,
+          settings,
+          ...(boards.length > 0 && { boards }),
+          ...(eventIds.length > 1 && { eventIds })
         })
       });
 
@@ -64,12 +74,51 @@ export const contestAPI = {
     });
   },
 
-  // Update contest names
-  updateContest: async (contestId, names) => {
+  // Update contest names, for one board when the contest has several
+  updateContest: async (contestId, names, boardId = null, adminToken = null) => {
     return handleAsyncOperation(async () => {
       const response = await secureFetch(`${API_BASE_URL}/contests/${contestId}`, {
         method: 'PUT',
-        body: JSON.stringify({ names })
+        headers: getAdminHeaders(adminToken),
+        body: JSON.stringify({ names, ...(boardId && { boardId }) })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    });
+  },
+
+  // Replace the organizer's payment records (paid flag and note by name), for one board when the contest has several.
+  // Boards take payments before and after they start, since fees are often collected once the board is set.
+  updatePayments: async (contestId, payments, boardId = null, adminToken = null) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/contests/${contestId}/payments`, {
+        method: 'PUT',
+        headers: getAdminHeaders(adminToken),
+        body: JSON.stringify({ payments, ...(boardId && { boardId }) })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    });
+  },
+
+  // Claim an open square from the participant link; the API rejects taken squares and names over the limit
+  claimSquare: async (contestId, square, name, boardId = null) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/contests/${contestId}/claims`, {
+        method: 'POST',
+        body: JSON.stringify({ square, name, ...(boardId && { boardId }) })
       });
 
       if (!response.ok) {
@@ -82,11 +131,106 @@ export const contestAPI = {
     });
   },
 
-  // Start contest
-  startContest: async (contestId) => {
+  // Reassign one claimed square, or release it with an empty name, without touching the others
+  assignSquare: async (contestId, square, name, boardId = null, adminToken = null) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/contests/${contestId}/claims/${square}`, {
+        method: 'PUT',
+        headers: getAdminHeaders(adminToken),
+        body: JSON.stringify({ name, ...(boardId && { boardId }) })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    });
+  },
+
+  // Start contest and lock the board's names. Boards with a published seed hash send the digest of
+  // the names being locked and no digits; the API refuses it if the stored names differ, derives the
+  // digits from its seed and that digest, and reveals the seed. Older boards send digits shuffled here.
+  startContest: async (contestId, digits, boardId = null, adminToken = null, namesDigest = null) => {
     return handleAsyncOperation(async () => {
       const response = await secureFetch(`${API_BASE_URL}/contests/${contestId}/start`, {
-        method: 'POST'
+        method: 'POST',
+        headers: getAdminHeaders(adminToken),
+        body: JSON.stringify({ ...(digits && { digits }), ...(namesDigest && { namesDigest }), ...(boardId && { boardId }) })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    });
+  }
+};
+
+// Season API calls; a season links one contest per game and keeps the names reused each week
+export const seasonAPI = {
+  // Get season by ID
+  getSeason: createRetryableOperation(async (seasonId) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/seasons/${seasonId}`);
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return response.json();
+    });
+  }, 'aggressive'),
+
+  // Create new season; the response carries the admin token that season edits must send
+  createSeason: async (name) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/seasons`, {
+        method: 'POST',
+        body: JSON.stringify({ name })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    });
+  },
+
+  // Update the names reused by every contest in the season
+  updateSeason: async (seasonId, names, adminToken = null) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/seasons/${seasonId}`, {
+        method: 'PUT',
+        headers: getAdminHeaders(adminToken),
+        body: JSON.stringify({ names })
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    });
+  },
+
+  // Link a contest to the season as its next week
+  addContest: async (seasonId, contestId, adminToken = null) => {
+    return handleAsyncOperation(async () => {
+      const response = await secureFetch(`${API_BASE_URL}/seasons/${seasonId}/contests`, {
+        method: 'POST',
+        headers: getAdminHeaders(adminToken),
+        body: JSON.stringify({ contestId })
       });
 
       if (!response.ok) {
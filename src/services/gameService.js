@@ -1,6 +1,9 @@
 import { contestAPI } from './apiService';
 import { reportError } from '../utils/errorReporter';
 import { storeGameData, getGameData, storeAllGames, getAllGames } from '../utils/offlineStorage';
+import { getContestRuleSet, getPayoutEvents, getSlateRuleSets, getSlatePayoutEvents, getSlateUnallocated } from '../utils/scoringEngine';
+import { getContestBoards, getContestEventIds } from '../utils/contestBoards';
+import { CONTEST_STATUS } from '../constants';
 
 // Service for fetching NFL game data from ESPN API
 export async function getNFLGameData(eventId) {
@@ -180,6 +183,7 @@ export async function getNFLGameData(eventId) {
       clock: clock,
       period: period,
       periodText: '',
+      scoringPlays: extractScoringPlays(data),
       eventId: eventId
     };
     
@@ -207,6 +211,75 @@ export async function getNFLGameData(eventId) {
   }
 }
 
+// Transform game data from getNFLGameData into the shape the board and scoring engine use
+export function transformGameData(data) {
+  return {
+    homeTeam: {
+      name: data.homeTeam.name,
+      score: parseInt(data.homeTeam.score),
+      lineScore: data.homeTeam.lineScore.map(scoreObj => parseInt(scoreObj.value) || 0)
+    },
+    awayTeam: {
+      name: data.awayTeam.name,
+      score: parseInt(data.awayTeam.score),
+      lineScore: data.awayTeam.lineScore.map(scoreObj => parseInt(scoreObj.value) || 0)
+    },
+    currentPeriod: data.period,
+    clock: data.clock,
+    gameStatus: data.gameStatus,
+    scoringPlays: data.scoringPlays || []
+  };
+}
+
+// Load a contest with its games and score every started board. Throws if any game fails to
+// load, since boards scored on part of a slate would show the wrong winners; games load one
+// at a time to keep the request rate down.
+export async function loadContestPayouts(contestId) {
+  const data = await contestAPI.getContest(contestId);
+  const settings = data.contest?.settings || data.settings || {};
+  const eventIds = getContestEventIds(data);
+
+  const games = [];
+  for (const eventId of eventIds) {
+    const rawGameData = await getNFLGameData(eventId);
+    if (!rawGameData) {
+      throw new Error(`Failed to load game ${eventId}`);
+    }
+    games.push({ eventId, gameData: transformGameData(rawGameData) });
+  }
+
+  const boards = games.length === 0 ? [] : getContestBoards(data)
+    .filter(board => board.status !== CONTEST_STATUS.NEW)
+    .map(board => {
+      const contest = {
+        quarterPrizes: board.quarterPrizes,
+        digits: board.digits,
+        boardSize: settings.boardSize,
+        axisOrientation: settings.axisOrientation
+      };
+
+      if (games.length > 1) {
+        const ruleSets = getSlateRuleSets(contest, games.length);
+        return {
+          board,
+          events: getSlatePayoutEvents(games, ruleSets),
+          unallocated: getSlateUnallocated(ruleSets),
+          totalSquares: ruleSets[0].layout.totalSquares
+        };
+      }
+
+      const ruleSet = getContestRuleSet(contest);
+      return {
+        board,
+        events: getPayoutEvents(games[0].gameData, ruleSet),
+        unallocated: ruleSet.unallocated,
+        totalSquares: ruleSet.layout.totalSquares
+      };
+    });
+
+  return { settings, games, boards };
+}
+
 // Helper function to calculate linescore from the comprehensive play-by-play data
 function calculateLineScoreFromPlays(data, homeTeamId, awayTeamId) {
   const homeLineScore = [0, 0, 0, 0]; // Q1, Q2, Q3, Q4
@@ -250,6 +323,64 @@ function calculateLineScoreFromPlays(data, homeTeamId, awayTeamId) {
   };
 }
 
+// Helper function to build a normalized list of scoring plays with the running score after each one.
+// Every change in the score counts, so a touchdown and its extra point are separate entries.
+// team is 'home' or 'away' for the side whose score changed.
+function extractScoringPlays(data) {
+  let lastHome = 0;
+  let lastAway = 0;
+  
+  const toScoringPlay = (play, homeScore, awayScore) => ({
+    id: play.id ? play.id.toString() : '',
+    period: play.period?.number || 0,
+    clock: play.clock?.displayValue || '',
+    text: play.text || play.type?.text || '',
+    team: homeScore !== lastHome && awayScore === lastAway ? 'home'
+      : awayScore !== lastAway && homeScore === lastHome ? 'away'
+      : null,
+    homeScore,
+    awayScore
+  });
+  
+  const scoringPlays = [];
+  
+  // Walk every play in order and keep the ones that changed the score
+  const drives = [...(data.drives?.previous || [])];
+  if (data.drives?.current && !drives.some(drive => drive.id === data.drives.current.id)) {
+    drives.push(data.drives.current);
+  }
+  
+  drives.forEach(drive => {
+    (drive.plays || []).forEach(play => {
+      if (play.homeScore === undefined || play.awayScore === undefined) {
+        return;
+      }
+      
+      const homeScore = parseInt(play.homeScore) || 0;
+      const awayScore = parseInt(play.awayScore) || 0;
+      
+      if (homeScore !== lastHome || awayScore !== lastAway) {
+        scoringPlays.push(toScoringPlay(play, homeScore, awayScore));
+        lastHome = homeScore;
+        lastAway = awayScore;
+      }
+    });
+  });
+  
+  // Fall back to the summary's own scoring play list when there is no play-by-play
+  if (scoringPlays.length === 0 && Array.isArray(data.scoringPlays)) {
+    data.scoringPlays.forEach(play => {
+      const homeScore = parseInt(play.homeScore) || 0;
+      const awayScore = parseInt(play.awayScore) || 0;
+      scoringPlays.push(toScoringPlay(play, homeScore, awayScore));
+      lastHome = homeScore;
+      lastAway = awayScore;
+    });
+  }
+  
+  return scoringPlays;
+}
+
 // Helper function to calculate linescore from drives/play-by-play data
 function calculateLineScoreFromDrives(drives, teamId) {
   const quarterScores = [0, 0, 0, 0]; // Q1, Q2, Q3, Q4
@@ -345,11 +476,11 @@ export async function getAllNFLGames() {
 }
 
 // Service for creating a new squares game
-export async function createSquaresGame(eventId, costPerSquare, quarterPrizes) {
+export async function createSquaresGame(eventId, costPerSquare, quarterPrizes, settings = {}, boards = [], eventIds = []) {
   try {
-    return await contestAPI.createContest(eventId, costPerSquare, quarterPrizes);
+    return await contestAPI.createContest(eventId, costPerSquare, quarterPrizes, settings, boards, eventIds);
   } catch (error) {
-    reportError(error, 'server', { operation: 'createSquaresGame', eventId, costPerSquare, quarterPrizes });
+    reportError(error, 'server', { operation: 'createSquaresGame', eventId, eventIds, costPerSquare, quarterPrizes, settings });
     throw error;
   }
 }
@@ -0,0 +1,113 @@
+/**
+ * Organizer access.
+ *
+ * Creating a contest returns a secret admin token. Calls that change the contest (names,
+ * payments, starting it) send the token in a header, so the participant link can be shared
+ * freely while only the admin link can edit. The token is kept on the device that created
+ * the contest or opened its admin link, the same way the fairness seed is.
+ *
+ * Seasons work the same way. Creating one returns its own token, and changing the names each
+ * week starts from or linking a contest to it sends that token, so the public standings link
+ * can't be used to edit the season. It is kept on the device that created the season.
+ *
+ * The token can't be recovered from the participant link: if the organizer's browser data is
+ * cleared, the copied admin link is the only way back in. Contests created before tokens
+ * existed have none, and the API reports them as unprotected; those keep working the old way,
+ * with names editable by anyone on the admin page.
+ */
+
+import { getErrorMessage, ERROR_TYPES } from './errorHandler';
+
+// Header the API reads the admin token from
+export const ADMIN_TOKEN_HEADER = 'X-Admin-Token';
+
+const ADMIN_TOKEN_STORAGE_PREFIX = 'adminToken_';
+
+/**
+ * Get the admin token from a create-contest response
+ * @param {Object} result - The create-contest response (fields may be nested under result.contest)
+ * @returns {string|null} The token, or null if the API didn't return one
+ */
+export const getResponseAdminToken = (result) => {
+  return result?.adminToken || result?.contest?.adminToken || null;
+};
+
+/**
+ * Check whether a contest requires the admin token for edits
+ * @param {Object} data - The contest response (fields may be nested under data.contest)
+ * @returns {boolean} False for contests created before admin tokens, which have none
+ */
+export const isAdminProtected = (data) => {
+  return Boolean(data?.contest?.adminProtected ?? data?.adminProtected);
+};
+
+/**
+ * Get the key a season's admin token is stored under, kept apart from contest IDs
+ * @param {string} seasonId - The season ID
+ * @returns {string} The key to pass to storeAdminToken and getAdminToken
+ */
+export const getSeasonTokenKey = (seasonId) => {
+  return `season:${seasonId}`;
+};
+
+/**
+ * Keep a contest's admin token on this device
+ * @param {string} contestId - The contest ID
+ * @param {string} token - The admin token
+ */
+export const storeAdminToken = (contestId, token) => {
+  try {
+    localStorage.setItem(`${ADMIN_TOKEN_STORAGE_PREFIX}${contestId}`, token);
+  } catch (error) {
+    console.error('Failed to store admin token:', error);
+  }
+};
+
+/**
+ * Retrieve the admin token stored for a contest
+ * @param {string} contestId - The contest ID
+ * @returns {string|null} The token, or null if this device isn't the organizer's
+ */
+export const getAdminToken = (contestId) => {
+  try {
+    return localStorage.getItem(`${ADMIN_TOKEN_STORAGE_PREFIX}${contestId}`);
+  } catch (error) {
+    console.error('Failed to retrieve admin token:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the message for a failed organizer-only call
+ * @param {Error} error - The error from the API call
+ * @param {string} fallback - Message used when the error has no friendlier wording
+ * @returns {string} A rejected admin token gets its own message; everything else uses the usual wording
+ */
+export const getAdminErrorMessage = (error, fallback) => {
+  if (error?.type === ERROR_TYPES.AUTH) {
+    return 'This admin link is no longer valid. Open the admin link from the device that created the contest.';
+  }
+  return getErrorMessage(error) || fallback;
+};
+
+/**
+ * Build the organizer's link; anyone who opens it can edit the contest
+ * @param {string} origin - The site origin, e.g. window.location.origin
+ * @param {string} contestId - The contest ID
+ * @param {string|null} token - The admin token, or null for contests created before tokens
+ * @returns {string} The admin URL
+ */
+export const getAdminUrl = (origin, contestId, token) => {
+  const url = `${origin}/contests/${contestId}/admin`;
+  return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+};
+
+/**
+ * Build the read-only link to share with participants
+ * @param {string} origin - The site origin, e.g. window.location.origin
+ * @param {string} contestId - The contest ID
+ * @returns {string} The participant URL
+ */
+export const getParticipantUrl = (origin, contestId) => {
+  return `${origin}/contests/${contestId}`;
+};
@@ -0,0 +1,30 @@
+import { getResponseAdminToken, isAdminProtected, storeAdminToken, getAdminToken, getSeasonTokenKey, getAdminUrl, getParticipantUrl } from './adminAccess';
+
+describe('Admin Access', () => {
+  test('should read the token from either response shape', () => {
+    expect(getResponseAdminToken({ id: 'abc', adminToken: 'secret' })).toBe('secret');
+    expect(getResponseAdminToken({ contest: { adminToken: 'nested' } })).toBe('nested');
+    expect(getResponseAdminToken({ id: 'abc' })).toBeNull();
+  });
+
+  test('should treat contests from before admin tokens as unprotected', () => {
+    expect(isAdminProtected({ contest: { adminProtected: true } })).toBe(true);
+    expect(isAdminProtected({ adminProtected: true })).toBe(true);
+    expect(isAdminProtected({ contest: { names: [] } })).toBe(false);
+  });
+
+  test('should keep the token per contest', () => {
+    storeAdminToken('abc', 'secret');
+    storeAdminToken(getSeasonTokenKey('abc'), 'season-secret');
+
+    expect(getAdminToken('abc')).toBe('secret');
+    expect(getAdminToken(getSeasonTokenKey('abc'))).toBe('season-secret');
+    expect(getAdminToken('other')).toBeNull();
+  });
+
+  test('should only put the token in the admin link', () => {
+    expect(getAdminUrl('https://squares.test', 'abc', 'a b')).toBe('https://squares.test/contests/abc/admin?token=a%20b');
+    expect(getAdminUrl('https://squares.test', 'abc', null)).toBe('https://squares.test/contests/abc/admin');
+    expect(getParticipantUrl('https://squares.test', 'abc')).toBe('https://squares.test/contests/abc');
+  });
+});
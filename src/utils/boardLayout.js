@@ -0,0 +1,62 @@
+/**
+ * Board layouts for the supported board sizes.
+ *
+ * Every board uses the digits 0-9 on both axes. On an axis with five cells each
+ * header cell holds two digits, taken in order from the shuffled digit order.
+ * The home team's digits run across the columns unless the contest puts them on the rows.
+ */
+
+import { BOARD_SIZES, GRID_SIZE, AXIS_ORIENTATIONS } from '../constants';
+
+const LAYOUTS = {
+  [BOARD_SIZES.STANDARD]: { rows: 10, cols: 10 },
+  [BOARD_SIZES.HALF]: { rows: 5, cols: 10 },
+  [BOARD_SIZES.SMALL]: { rows: 5, cols: 5 }
+};
+
+/**
+ * Get the layout for a board size, falling back to the standard 10x10 board
+ * @param {string} boardSize - One of BOARD_SIZES
+ * @param {string} axisOrientation - One of AXIS_ORIENTATIONS (defaults to home on the columns)
+ * @returns {Object} Object containing the size, row and column counts, total squares,
+ * how many digits each row and column header holds and whether home is on the rows
+ */
+export const getBoardLayout = (boardSize, axisOrientation) => {
+  const size = LAYOUTS[boardSize] ? boardSize : BOARD_SIZES.STANDARD;
+  const { rows, cols } = LAYOUTS[size];
+
+  return {
+    size,
+    rows,
+    cols,
+    totalSquares: rows * cols,
+    digitsPerRow: GRID_SIZE / rows,
+    digitsPerCol: GRID_SIZE / cols,
+    homeOnRows: axisOrientation === AXIS_ORIENTATIONS.HOME_ROWS
+  };
+};
+
+/**
+ * Group a digit order into header cells
+ * @param {Array<number>} order - The 10-digit order for one axis
+ * @param {number} cells - Number of header cells on the axis
+ * @returns {Array<Array<number>>} The digits shown in each header cell
+ */
+export const groupDigits = (order, cells) => {
+  const perCell = order.length / cells;
+  return Array.from({ length: cells }, (_, i) => order.slice(i * perCell, (i + 1) * perCell));
+};
+
+/**
+ * Get the row and column of a 1-based grid index
+ * @param {number} gridIndex - The 1-based grid index
+ * @param {Object} layout - The board layout
+ * @returns {Object} Object containing the row, column and grid index
+ */
+export const getGridPosition = (gridIndex, layout) => {
+  return {
+    row: Math.floor((gridIndex - 1) / layout.cols),
+    col: (gridIndex - 1) % layout.cols,
+    gridIndex
+  };
+};
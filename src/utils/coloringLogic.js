@@ -2,36 +2,16 @@
  * Utility functions for premier squares coloring logic
  */
 
-/**
- * Get the last digit of a number
- * @param {number} num - The number to get the last digit from
- * @returns {number} The last digit
- */
-export const getLastDigit = (num) => {
-  const result = num % 10;
-  return result === -0 ? 0 : result;
-};
+import {
+  getLastDigit,
+  getCumulativeScores,
+  getPeriodRuleSet,
+  getPayoutEvents,
+  EVENT_STATUS
+} from './scoringEngine';
 
-/**
- * Calculate cumulative scores for a given period
- * @param {Object} gameData - The game data object
- * @param {number} period - The period to calculate cumulative scores for
- * @returns {Object} Object containing home and away cumulative scores
- */
-export const getCumulativeScores = (gameData, period) => {
-  let homeTotal = 0;
-  let awayTotal = 0;
-  
-  // Add up all periods up to the current period
-  for (let i = 0; i < period; i++) {
-    const homeScore = gameData.homeTeam.lineScore[i] || 0;
-    const awayScore = gameData.awayTeam.lineScore[i] || 0;
-    homeTotal += homeScore;
-    awayTotal += awayScore;
-  }
-  
-  return { home: homeTotal, away: awayTotal };
-};
+// The score primitives live in the scoring engine; re-exported for existing callers
+export { getLastDigit, getCumulativeScores };
 
 /**
  * Determine if a square should be colored and which quarters it won
@@ -41,25 +21,18 @@ export const getCumulativeScores = (gameData, period) => {
  * @returns {Object} Object containing coloring information
  */
 export const getSquareInfo = (gameData, homeDigit, awayDigit) => {
-  const winningQuarters = [];
-  
-  // Check each period to see if this square should be colored
-  for (let period = 1; period <= gameData.currentPeriod; period++) {
-    const scores = getCumulativeScores(gameData, period);
-    const homeLastDigit = getLastDigit(scores.home);
-    const awayLastDigit = getLastDigit(scores.away);
-    
-    // If this square matches the last digits for this period, add it to winning quarters
-    if (homeLastDigit === homeDigit && awayLastDigit === awayDigit) {
-      winningQuarters.push(period);
-    }
-  }
+  // Score every period played as its own checkpoint and keep the ones this square holds
+  const winningEvents = getPayoutEvents(gameData, getPeriodRuleSet(gameData)).filter(event =>
+    event.status !== EVENT_STATUS.PENDING &&
+    event.digits.home === homeDigit &&
+    event.digits.away === awayDigit
+  );
   
-  if (winningQuarters.length > 0) {
+  if (winningEvents.length > 0) {
     return { 
       isColored: true, 
-      quarters: winningQuarters,
-      quarterText: winningQuarters.map(q => q > 4 ? 'OT' : `Q${q}`).join(',')
+      quarters: winningEvents.map(event => event.period),
+      quarterText: winningEvents.map(event => event.label).join(',')
     };
   }
   
@@ -0,0 +1,86 @@
+/**
+ * Boards within a contest.
+ *
+ * A contest can run several boards on the same event, each with its own names,
+ * price, payouts, digits and fairness seed. Those contests store them in
+ * contest.boards. Older contests have a single board whose fields live on the
+ * contest itself; it is returned as one board with a null id so API calls keep
+ * working the way they always have.
+ *
+ * A slate contest plays one board across several games. It lists them in
+ * contest.eventIds and keeps the first in contest.eventId for older readers.
+ */
+
+import { CONTEST_STATUS } from '../constants';
+
+// Most boards one contest can run
+export const MAX_BOARDS = 5;
+
+/**
+ * Get every board in a contest response
+ * @param {Object} data - The contest response (fields may be nested under data.contest)
+ * @returns {Array} Boards as { id, label, costPerSquare, quarterPrizes, names, payments, digits, seed, seedHash,
+ * namesDigest, status }
+ */
+export const getContestBoards = (data) => {
+  const contest = data?.contest || data || {};
+  const settings = contest.settings || data?.settings || {};
+  const status = contest.status || data?.status || CONTEST_STATUS.NEW;
+
+  if (Array.isArray(contest.boards) && contest.boards.length > 0) {
+    return contest.boards.map((board, index) => ({
+      id: board.id || `board-${index + 1}`,
+      label: board.label || null,
+      costPerSquare: board.costPerSquare,
+      quarterPrizes: board.quarterPrizes || null,
+      names: Array.isArray(board.names) ? board.names : [],
+      payments: board.payments || {},
+      digits: board.digits || null,
+      seed: board.seed || null,
+      seedHash: board.seedHash || null,
+      namesDigest: board.namesDigest || null,
+      status: board.status || status
+    }));
+  }
+
+  return [{
+    id: null,
+    label: null,
+    costPerSquare: contest.costPerSquare ?? data?.costPerSquare,
+    quarterPrizes: contest.quarterPrizes || data?.quarterPrizes || null,
+    names: contest.names || data?.names || [],
+    payments: contest.payments || data?.payments || {},
+    digits: contest.digits || data?.digits || null,
+    seed: contest.seed || data?.seed || null,
+    seedHash: settings.seedHash || null,
+    namesDigest: contest.namesDigest || data?.namesDigest || null,
+    status
+  }];
+};
+
+/**
+ * Find a board by id, falling back to the first board
+ * @param {Array} boards - Boards from getContestBoards
+ * @param {string|null} boardId - The board to find
+ * @returns {Object|null} The board, or null if there are no boards
+ */
+export const findBoard = (boards, boardId) => {
+  return boards.find(board => board.id === boardId) || boards[0] || null;
+};
+
+/**
+ * Get the games a contest is played on
+ * @param {Object} data - The contest response (fields may be nested under data.contest)
+ * @returns {Array<string>} Event IDs in slate order; one for single-game contests
+ */
+export const getContestEventIds = (data) => {
+  const contest = data?.contest || data || {};
+  const eventIds = contest.eventIds || data?.eventIds;
+
+  if (Array.isArray(eventIds) && eventIds.length > 0) {
+    return eventIds;
+  }
+
+  const eventId = contest.eventId || data?.eventId;
+  return eventId ? [eventId] : [];
+};
@@ -0,0 +1,62 @@
+import { getContestBoards, findBoard, getContestEventIds } from './contestBoards';
+
+describe('Contest Boards', () => {
+  describe('getContestBoards', () => {
+    test('should treat a contest without boards as one board', () => {
+      const boards = getContestBoards({
+        contest: {
+          status: 'active',
+          costPerSquare: 10,
+          names: ['Alice'],
+          quarterPrizes: { quarter1: 250 },
+          seed: 'abc',
+          settings: { seedHash: 'hash' }
+        }
+      });
+
+      expect(boards).toHaveLength(1);
+      expect(boards[0]).toMatchObject({
+        id: null,
+        costPerSquare: 10,
+        names: ['Alice'],
+        seed: 'abc',
+        seedHash: 'hash',
+        status: 'active'
+      });
+    });
+
+    test('should read each board with its own names and status', () => {
+      const boards = getContestBoards({
+        status: 'new',
+        boards: [
+          { id: 'board-1', costPerSquare: 5, names: ['Alice'], status: 'active', seedHash: 'one' },
+          { id: 'board-2', costPerSquare: 25 }
+        ]
+      });
+
+      expect(boards.map(board => board.id)).toEqual(['board-1', 'board-2']);
+      expect(boards[0]).toMatchObject({ names: ['Alice'], status: 'active', seedHash: 'one' });
+      expect(boards[1]).toMatchObject({ names: [], status: 'new', seedHash: null });
+    });
+  });
+
+  describe('findBoard', () => {
+    test('should fall back to the first board', () => {
+      const boards = [{ id: 'board-1' }, { id: 'board-2' }];
+      expect(findBoard(boards, 'board-2')).toBe(boards[1]);
+      expect(findBoard(boards, 'missing')).toBe(boards[0]);
+      expect(findBoard([], 'board-1')).toBeNull();
+    });
+  });
+
+  describe('getContestEventIds', () => {
+    test('should list every game on a slate', () => {
+      expect(getContestEventIds({ contest: { eventId: 'a', eventIds: ['a', 'b'] } })).toEqual(['a', 'b']);
+    });
+
+    test('should fall back to the single eventId', () => {
+      expect(getContestEventIds({ eventId: 'a' })).toEqual(['a']);
+      expect(getContestEventIds({})).toEqual([]);
+    });
+  });
+});
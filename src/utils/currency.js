@@ -0,0 +1,94 @@
+/**
+ * Amount formatting for contest prices and payouts.
+ *
+ * A contest stores its currency in settings.currency. Money contests format amounts
+ * with Intl.NumberFormat; points-only contests show plain point totals for leagues
+ * that play for bragging rights.
+ */
+
+// Currency code used by points-only contests
+export const POINTS_CURRENCY = 'POINTS';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Currencies organizers can pick; all of them use two decimal places
+export const CURRENCY_OPTIONS = [
+  { code: 'USD', label: 'US Dollar' },
+  { code: 'CAD', label: 'Canadian Dollar' },
+  { code: 'EUR', label: 'Euro' },
+  { code: 'GBP', label: 'British Pound' },
+  { code: 'AUD', label: 'Australian Dollar' },
+  { code: 'MXN', label: 'Mexican Peso' },
+  { code: POINTS_CURRENCY, label: 'Points Only' }
+];
+
+const formatterCache = {};
+
+/**
+ * Get a cached Intl.NumberFormat
+ * @param {string} currency - The currency code
+ * @param {boolean} wholeAmount - Whether the amount has no cents
+ * @returns {Intl.NumberFormat} The formatter
+ */
+const getFormatter = (currency, wholeAmount) => {
+  const key = `${currency}:${wholeAmount}`;
+  if (!formatterCache[key]) {
+    formatterCache[key] = currency === POINTS_CURRENCY
+      ? new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 })
+      : new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency,
+          minimumFractionDigits: wholeAmount ? 0 : 2,
+          maximumFractionDigits: 2
+        });
+  }
+  return formatterCache[key];
+};
+
+/**
+ * Return a supported currency code, falling back to the default
+ * @param {string} currency - The currency code stored with the contest
+ * @returns {string} A code from CURRENCY_OPTIONS
+ */
+export const normalizeCurrency = (currency) => {
+  const code = typeof currency === 'string' ? currency.toUpperCase() : '';
+  return CURRENCY_OPTIONS.some(option => option.code === code) ? code : DEFAULT_CURRENCY;
+};
+
+/**
+ * Check whether a contest plays for points instead of money
+ * @param {string} currency - The currency code
+ * @returns {boolean} True for points-only contests
+ */
+export const isPointsOnly = (currency) => {
+  return normalizeCurrency(currency) === POINTS_CURRENCY;
+};
+
+/**
+ * Format an amount for display. Whole amounts drop the cents ($10, $2.50).
+ * @param {number} amount - The amount
+ * @param {string} currency - The currency code
+ * @returns {string} The formatted amount, e.g. '$2.50', '€10' or '250 pts'
+ */
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  const code = normalizeCurrency(currency);
+  const value = Number(amount) || 0;
+  const formatted = getFormatter(code, Number.isInteger(value)).format(value);
+
+  return code === POINTS_CURRENCY ? `${formatted} pts` : formatted;
+};
+
+/**
+ * Get the symbol shown in front of price inputs
+ * @param {string} currency - The currency code
+ * @returns {string} The currency symbol, or an empty string for points
+ */
+export const getCurrencySymbol = (currency) => {
+  const code = normalizeCurrency(currency);
+  if (code === POINTS_CURRENCY) {
+    return '';
+  }
+
+  const symbolPart = getFormatter(code, true).formatToParts(0).find(part => part.type === 'currency');
+  return symbolPart ? symbolPart.value : code;
+};
@@ -0,0 +1,47 @@
+import {
+  formatAmount,
+  getCurrencySymbol,
+  normalizeCurrency,
+  isPointsOnly,
+  POINTS_CURRENCY
+} from './currency';
+
+describe('Currency Utilities', () => {
+  describe('formatAmount', () => {
+    test('should drop cents from whole amounts', () => {
+      expect(formatAmount(1000)).toBe('$1,000');
+      expect(formatAmount(2.5)).toBe('$2.50');
+      expect(formatAmount(333.34)).toBe('$333.34');
+    });
+
+    test('should format other currencies', () => {
+      expect(formatAmount(10, 'EUR')).toBe('€10');
+      expect(formatAmount(12.5, 'GBP')).toBe('£12.50');
+    });
+
+    test('should format points without a currency', () => {
+      expect(formatAmount(250, POINTS_CURRENCY)).toBe('250 pts');
+      expect(formatAmount(12.5, POINTS_CURRENCY)).toBe('12.5 pts');
+    });
+
+    test('should fall back to dollars for unknown currencies', () => {
+      expect(formatAmount(5, 'XYZ')).toBe('$5');
+    });
+  });
+
+  describe('normalizeCurrency', () => {
+    test('should accept supported codes in any case', () => {
+      expect(normalizeCurrency('eur')).toBe('EUR');
+      expect(normalizeCurrency(undefined)).toBe('USD');
+      expect(isPointsOnly('points')).toBe(true);
+    });
+  });
+
+  describe('getCurrencySymbol', () => {
+    test('should return the symbol for money and nothing for points', () => {
+      expect(getCurrencySymbol('USD')).toBe('$');
+      expect(getCurrencySymbol('EUR')).toBe('€');
+      expect(getCurrencySymbol(POINTS_CURRENCY)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Utility functions for assigning score digits to the board's rows and columns
+ */
+
+import { GRID_SIZE, DIGIT_MODES, REGULATION_QUARTERS } from '../constants';
+import { getBoardLayout } from './boardLayout';
+
+/**
+ * The unshuffled digit order (0-9), used for contests created before digits were randomized
+ */
+export const DEFAULT_DIGIT_ORDER = Array.from({ length: GRID_SIZE }, (_, i) => i);
+
+/**
+ * Get a random integer in the range [0, max)
+ * @param {number} max - The exclusive upper bound
+ * @returns {number} A random integer
+ */
+const getRandomInt = (max) => {
+  const cryptoApi = typeof window !== 'undefined' ? window.crypto : undefined;
+
+  if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+    // Reject values from the incomplete top range so every result is equally likely
+    const limit = Math.floor(0x100000000 / max) * max;
+    const buffer = new Uint32Array(1);
+    do {
+      cryptoApi.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return buffer[0] % max;
+  }
+
+  return Math.floor(Math.random() * max);
+};
+
+/**
+ * Generate a shuffled order of the digits 0-9 using a Fisher-Yates shuffle
+ * @param {Function} randomInt - Function returning a random integer in [0, max)
+ * @returns {Array<number>} The shuffled digits
+ */
+export const generateDigitOrder = (randomInt = getRandomInt) => {
+  const digits = [...DEFAULT_DIGIT_ORDER];
+
+  for (let i = digits.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [digits[i], digits[j]] = [digits[j], digits[i]];
+  }
+
+  return digits;
+};
+
+/**
+ * Check that a digit order contains each digit 0-9 exactly once
+ * @param {Array<number>} order - The digit order to check
+ * @returns {boolean} True if valid, false otherwise
+ */
+export const isValidDigitOrder = (order) => {
+  if (!Array.isArray(order) || order.length !== GRID_SIZE) {
+    return false;
+  }
+
+  return DEFAULT_DIGIT_ORDER.every(digit => order.includes(digit));
+};
+
+/**
+ * Create a new random digit assignment for both axes of the board
+ * @param {string} mode - The digit mode (DIGIT_MODES.FIXED or DIGIT_MODES.PER_QUARTER)
+ * @returns {Object} Object containing the row (away) and column (home) digit orders,
+ * plus one set per regulation quarter in per-quarter mode
+ */
+export const createDigitAssignment = (mode = DIGIT_MODES.FIXED) => {
+  if (mode !== DIGIT_MODES.PER_QUARTER) {
+    return {
+      mode: DIGIT_MODES.FIXED,
+      rows: generateDigitOrder(),
+      cols: generateDigitOrder()
+    };
+  }
+
+  const quarters = Array.from({ length: REGULATION_QUARTERS }, () => ({
+    rows: generateDigitOrder(),
+    cols: generateDigitOrder()
+  }));
+
+  // The top-level orders mirror Q1 so older readers still get a valid board
+  return {
+    mode: DIGIT_MODES.PER_QUARTER,
+    rows: quarters[0].rows,
+    cols: quarters[0].cols,
+    quarters
+  };
+};
+
+/**
+ * Normalize the digit assignment stored with a contest, falling back to 0-9
+ * for contests that were started without one
+ * @param {Object} digits - The stored digit assignment
+ * @returns {Object} Object containing valid row and column digit orders
+ */
+export const normalizeDigitAssignment = (digits) => {
+  const normalized = {
+    mode: DIGIT_MODES.FIXED,
+    rows: isValidDigitOrder(digits?.rows) ? digits.rows : DEFAULT_DIGIT_ORDER,
+    cols: isValidDigitOrder(digits?.cols) ? digits.cols : DEFAULT_DIGIT_ORDER
+  };
+
+  const quarters = digits?.quarters;
+  if (digits?.mode === DIGIT_MODES.PER_QUARTER && Array.isArray(quarters) &&
+      quarters.length === REGULATION_QUARTERS &&
+      quarters.every(set => isValidDigitOrder(set?.rows) && isValidDigitOrder(set?.cols))) {
+    normalized.mode = DIGIT_MODES.PER_QUARTER;
+    normalized.quarters = quarters.map(set => ({ rows: set.rows, cols: set.cols }));
+  }
+
+  return normalized;
+};
+
+/**
+ * Get the digit orders that apply to a period. In per-quarter mode each regulation
+ * quarter has its own orders and overtime keeps the Q4 orders.
+ * @param {Object} digits - The normalized digit assignment
+ * @param {number} period - The period (1-based)
+ * @returns {Object} Object containing the row and column digit orders
+ */
+export const getDigitsForPeriod = (digits, period) => {
+  if (!digits.quarters) {
+    return { rows: digits.rows, cols: digits.cols };
+  }
+
+  const quarterIndex = Math.min(Math.max(period || 1, 1), REGULATION_QUARTERS) - 1;
+  return digits.quarters[quarterIndex];
+};
+
+/**
+ * Find the board position of the square that owns a pair of score digits
+ * @param {Object} digits - The row and column digit orders to search
+ * @param {number} homeDigit - The home team digit (0-9), mapped to a column unless the layout puts home on the rows
+ * @param {number} awayDigit - The away team digit (0-9), mapped to the other axis
+ * @param {Object} layout - The board layout from getBoardLayout (defaults to 10x10)
+ * @returns {Object} Object containing the row, column and 1-based grid index
+ */
+export const getSquarePosition = (digits, homeDigit, awayDigit, layout = getBoardLayout()) => {
+  const rowDigitIndex = digits.rows.indexOf(layout.homeOnRows ? homeDigit : awayDigit);
+  const colDigitIndex = digits.cols.indexOf(layout.homeOnRows ? awayDigit : homeDigit);
+
+  if (rowDigitIndex === -1 || colDigitIndex === -1) {
+    return null;
+  }
+
+  // Header cells hold consecutive digits from the order when an axis has fewer than 10 cells
+  const row = Math.floor(rowDigitIndex / layout.digitsPerRow);
+  const col = Math.floor(colDigitIndex / layout.digitsPerCol);
+
+  return {
+    row,
+    col,
+    gridIndex: row * layout.cols + col + 1
+  };
+};
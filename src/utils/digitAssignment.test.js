@@ -0,0 +1,146 @@
+import {
+  DEFAULT_DIGIT_ORDER,
+  generateDigitOrder,
+  isValidDigitOrder,
+  createDigitAssignment,
+  normalizeDigitAssignment,
+  getDigitsForPeriod,
+  getSquarePosition
+} from './digitAssignment';
+import { getBoardLayout } from './boardLayout';
+import { DIGIT_MODES, BOARD_SIZES, AXIS_ORIENTATIONS } from '../constants';
+
+describe('Digit Assignment Utilities', () => {
+  describe('generateDigitOrder', () => {
+    test('should return every digit exactly once', () => {
+      for (let i = 0; i < 20; i++) {
+        const order = generateDigitOrder();
+        expect([...order].sort((a, b) => a - b)).toEqual(DEFAULT_DIGIT_ORDER);
+      }
+    });
+
+    test('should use the provided random source', () => {
+      // Always picking index 0 rotates each element into the front position
+      expect(generateDigitOrder(() => 0)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 0]);
+      // Always picking the current index leaves the order untouched
+      expect(generateDigitOrder(max => max - 1)).toEqual(DEFAULT_DIGIT_ORDER);
+    });
+  });
+
+  describe('isValidDigitOrder', () => {
+    test('should accept permutations of 0-9', () => {
+      expect(isValidDigitOrder([3, 1, 4, 0, 5, 9, 2, 6, 8, 7])).toBe(true);
+    });
+
+    test('should reject missing, duplicated or malformed orders', () => {
+      expect(isValidDigitOrder(null)).toBe(false);
+      expect(isValidDigitOrder([0, 1, 2])).toBe(false);
+      expect(isValidDigitOrder([0, 0, 2, 3, 4, 5, 6, 7, 8, 9])).toBe(false);
+    });
+  });
+
+  describe('createDigitAssignment', () => {
+    test('should create valid row and column orders', () => {
+      const digits = createDigitAssignment();
+      expect(isValidDigitOrder(digits.rows)).toBe(true);
+      expect(isValidDigitOrder(digits.cols)).toBe(true);
+    });
+  });
+
+  describe('normalizeDigitAssignment', () => {
+    test('should fall back to 0-9 for contests without digits', () => {
+      expect(normalizeDigitAssignment(undefined)).toEqual({
+        mode: DIGIT_MODES.FIXED,
+        rows: DEFAULT_DIGIT_ORDER,
+        cols: DEFAULT_DIGIT_ORDER
+      });
+    });
+
+    test('should keep a valid stored assignment', () => {
+      const digits = {
+        mode: DIGIT_MODES.FIXED,
+        rows: [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+        cols: [3, 1, 4, 0, 5, 9, 2, 6, 8, 7]
+      };
+      expect(normalizeDigitAssignment(digits)).toEqual(digits);
+    });
+
+    test('should drop malformed per-quarter sets', () => {
+      const digits = createDigitAssignment(DIGIT_MODES.PER_QUARTER);
+      digits.quarters = digits.quarters.slice(0, 2);
+
+      const normalized = normalizeDigitAssignment(digits);
+      expect(normalized.mode).toBe(DIGIT_MODES.FIXED);
+      expect(normalized.quarters).toBeUndefined();
+    });
+  });
+
+  describe('per-quarter digits', () => {
+    test('should create one valid set per regulation quarter', () => {
+      const digits = createDigitAssignment(DIGIT_MODES.PER_QUARTER);
+      expect(digits.mode).toBe(DIGIT_MODES.PER_QUARTER);
+      expect(digits.quarters).toHaveLength(4);
+      digits.quarters.forEach(set => {
+        expect(isValidDigitOrder(set.rows)).toBe(true);
+        expect(isValidDigitOrder(set.cols)).toBe(true);
+      });
+      expect(digits.rows).toEqual(digits.quarters[0].rows);
+    });
+
+    test('should resolve each quarter to its own set and overtime to Q4', () => {
+      const digits = normalizeDigitAssignment(createDigitAssignment(DIGIT_MODES.PER_QUARTER));
+      expect(getDigitsForPeriod(digits, 1)).toBe(digits.quarters[0]);
+      expect(getDigitsForPeriod(digits, 3)).toBe(digits.quarters[2]);
+      expect(getDigitsForPeriod(digits, 5)).toBe(digits.quarters[3]);
+      expect(getDigitsForPeriod(digits, 0)).toBe(digits.quarters[0]);
+    });
+
+    test('should use the same set for every period in fixed mode', () => {
+      const digits = normalizeDigitAssignment(createDigitAssignment());
+      expect(getDigitsForPeriod(digits, 1)).toEqual({ rows: digits.rows, cols: digits.cols });
+      expect(getDigitsForPeriod(digits, 4)).toEqual({ rows: digits.rows, cols: digits.cols });
+    });
+  });
+
+  describe('getSquarePosition', () => {
+    test('should map digits straight to positions for the default order', () => {
+      const digits = normalizeDigitAssignment(null);
+      expect(getSquarePosition(digits, 0, 0)).toEqual({ row: 0, col: 0, gridIndex: 1 });
+      expect(getSquarePosition(digits, 7, 3)).toEqual({ row: 3, col: 7, gridIndex: 38 });
+    });
+
+    test('should look up positions in shuffled orders', () => {
+      const digits = {
+        rows: [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+        cols: [3, 1, 4, 0, 5, 9, 2, 6, 8, 7]
+      };
+      // Away 0 is the last row, home 0 is the fourth column
+      expect(getSquarePosition(digits, 0, 0)).toEqual({ row: 9, col: 3, gridIndex: 94 });
+      expect(getSquarePosition(digits, 7, 9)).toEqual({ row: 0, col: 9, gridIndex: 10 });
+    });
+
+    test('should return null for digits that are not on the board', () => {
+      const digits = normalizeDigitAssignment(null);
+      expect(getSquarePosition(digits, -3, 0)).toBeNull();
+    });
+
+    test('should group two digits per cell on smaller boards', () => {
+      const digits = normalizeDigitAssignment(null);
+      // 50 squares: ten columns, five rows of two digits each
+      expect(getSquarePosition(digits, 7, 3, getBoardLayout(BOARD_SIZES.HALF)))
+        .toEqual({ row: 1, col: 7, gridIndex: 18 });
+      // 25 squares: five columns and five rows of two digits each
+      expect(getSquarePosition(digits, 7, 3, getBoardLayout(BOARD_SIZES.SMALL)))
+        .toEqual({ row: 1, col: 3, gridIndex: 9 });
+    });
+
+    test('should put the home digit on the rows when the layout says so', () => {
+      const digits = normalizeDigitAssignment(null);
+      expect(getSquarePosition(digits, 7, 3, getBoardLayout(BOARD_SIZES.STANDARD, AXIS_ORIENTATIONS.HOME_ROWS)))
+        .toEqual({ row: 7, col: 3, gridIndex: 74 });
+      // Home on the five rows of a 50 square board
+      expect(getSquarePosition(digits, 7, 3, getBoardLayout(BOARD_SIZES.HALF, AXIS_ORIENTATIONS.HOME_ROWS)))
+        .toEqual({ row: 3, col: 3, gridIndex: 34 });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Game replay.
+ *
+ * Rebuilds the game as it stood after any scoring play, from the play-by-play scoring
+ * sequence, so the board and payout panels can be replayed with the usual scoring engine.
+ */
+
+import { REGULATION_QUARTERS } from '../constants';
+
+/**
+ * Get the game as it stood after a number of scoring plays
+ * @param {Object} gameData - The game data object (scoringPlays from gameService)
+ * @param {number} playCount - Scoring plays to include; 0 is kickoff
+ * @returns {Object} Game data in the same shape, in progress at the clock of the last
+ * included play, with line scores rebuilt from the plays
+ */
+export const getReplayGameData = (gameData, playCount) => {
+  const plays = (gameData.scoringPlays || []).slice(0, Math.max(0, playCount));
+  const lastPlay = plays[plays.length - 1];
+  const currentPeriod = lastPlay ? Math.max(1, lastPlay.period) : 1;
+
+  // Each period's line score is the change in the running score across it
+  const periods = Math.max(REGULATION_QUARTERS, currentPeriod);
+  const homeLineScore = Array(periods).fill(0);
+  const awayLineScore = Array(periods).fill(0);
+  let home = 0;
+  let away = 0;
+  plays.forEach(play => {
+    const index = Math.max(1, play.period) - 1;
+    homeLineScore[index] += play.homeScore - home;
+    awayLineScore[index] += play.awayScore - away;
+    home = play.homeScore;
+    away = play.awayScore;
+  });
+
+  return {
+    ...gameData,
+    homeTeam: { ...gameData.homeTeam, score: home, lineScore: homeLineScore.slice(0, currentPeriod) },
+    awayTeam: { ...gameData.awayTeam, score: away, lineScore: awayLineScore.slice(0, currentPeriod) },
+    currentPeriod,
+    clock: lastPlay ? lastPlay.clock : '15:00',
+    gameStatus: 'STATUS_IN_PROGRESS',
+    scoringPlays: plays
+  };
+};
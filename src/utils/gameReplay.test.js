@@ -0,0 +1,45 @@
+import { getReplayGameData } from './gameReplay';
+import { getContestRuleSet, getPayoutEvents, EVENT_STATUS } from './scoringEngine';
+
+const gameData = {
+  homeTeam: { name: 'Home Team', score: 17, lineScore: [7, 0, 10, 0] },
+  awayTeam: { name: 'Away Team', score: 3, lineScore: [0, 3, 0, 0] },
+  currentPeriod: 4,
+  clock: '0:00',
+  gameStatus: 'STATUS_FINAL',
+  scoringPlays: [
+    { id: '1', period: 1, clock: '9:12', homeScore: 6, awayScore: 0 },
+    { id: '2', period: 1, clock: '9:12', homeScore: 7, awayScore: 0 },
+    { id: '3', period: 2, clock: '0:03', homeScore: 7, awayScore: 3 },
+    { id: '4', period: 3, clock: '4:40', homeScore: 14, awayScore: 3 },
+    { id: '5', period: 3, clock: '0:51', homeScore: 17, awayScore: 3 }
+  ]
+};
+
+describe('Game Replay', () => {
+  test('should start at kickoff with no score', () => {
+    const replay = getReplayGameData(gameData, 0);
+
+    expect(replay).toMatchObject({ currentPeriod: 1, clock: '15:00', gameStatus: 'STATUS_IN_PROGRESS', scoringPlays: [] });
+    expect(replay.homeTeam).toMatchObject({ name: 'Home Team', score: 0, lineScore: [0] });
+  });
+
+  test('should rebuild the line score and clock after a scoring play', () => {
+    const replay = getReplayGameData(gameData, 4);
+
+    expect(replay).toMatchObject({ currentPeriod: 3, clock: '4:40' });
+    expect(replay.homeTeam).toMatchObject({ score: 14, lineScore: [7, 0, 7] });
+    expect(replay.awayTeam).toMatchObject({ score: 3, lineScore: [0, 3, 0] });
+  });
+
+  test('should replay the payout events as they stood at that point', () => {
+    const events = getPayoutEvents(getReplayGameData(gameData, 3), getContestRuleSet({
+      quarterPrizes: { quarter1: 250, quarter2: 250, quarter3: 250, quarter4: 250 }
+    }));
+
+    expect(events.map(event => event.status)).toEqual([
+      EVENT_STATUS.FINAL, EVENT_STATUS.LIVE, EVENT_STATUS.PENDING, EVENT_STATUS.PENDING
+    ]);
+    expect(events[1].square.gridIndex).toBe(38);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Entry fee payments.
+ *
+ * The organizer records whether each participant has paid, with an optional note such as
+ * "Venmo" or "owes from last week". Payments are tracked per participant rather than per
+ * square, so someone with five squares is marked paid once. A board stores them as a map
+ * from name to { paid, note }; names match regardless of case and surrounding spaces.
+ */
+
+import { getPlayerNames, getPlayerSquares } from './playerSummary';
+import { toCents, fromCents } from './payoutAllocation';
+
+// Longest payment note the organizer can enter
+export const MAX_PAYMENT_NOTE_LENGTH = 100;
+
+const getPaymentKey = (name) => (name || '').trim().toLowerCase();
+
+/**
+ * Get a participant's payment record
+ * @param {Object} payments - The board's payments by name
+ * @param {string} name - The participant's name
+ * @returns {Object} The record as { paid, note }; unpaid with no note when nothing is recorded
+ */
+export const getPayment = (payments, name) => {
+  const key = getPaymentKey(name);
+  const match = Object.keys(payments || {}).find(recorded => getPaymentKey(recorded) === key);
+  const payment = match ? payments[match] : null;
+
+  return {
+    paid: Boolean(payment?.paid),
+    note: payment?.note || ''
+  };
+};
+
+/**
+ * Record a participant's payment, replacing any record under another spelling of the name
+ * @param {Object} payments - The board's payments by name
+ * @param {string} name - The participant's name
+ * @param {Object} changes - The fields to change, paid and/or note
+ * @returns {Object} New payments by name; the original is not changed
+ */
+export const setPayment = (payments, name, changes) => {
+  const key = getPaymentKey(name);
+  const current = getPayment(payments, name);
+  const next = {};
+
+  Object.entries(payments || {}).forEach(([recorded, payment]) => {
+    if (getPaymentKey(recorded) !== key) {
+      next[recorded] = payment;
+    }
+  });
+
+  const payment = { ...current, ...changes };
+  next[name.trim()] = {
+    paid: Boolean(payment.paid),
+    note: (payment.note || '').slice(0, MAX_PAYMENT_NOTE_LENGTH)
+  };
+
+  return next;
+};
+
+/**
+ * Check whether the participant on a square has paid
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @param {Object} payments - The board's payments by name
+ * @param {number} gridIndex - The 1-based square
+ * @returns {boolean} True if the square's participant is marked paid
+ */
+export const isSquarePaid = (names, payments, gridIndex) => {
+  const name = names[gridIndex - 1];
+  return Boolean(name && name.trim()) && getPayment(payments, name).paid;
+};
+
+/**
+ * Summarize who still has to pay for a board
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @param {Object} payments - The board's payments by name
+ * @param {number} costPerSquare - Entry fee per square in dollars
+ * @returns {Object} Object containing participants as { name, squares, amountDue, paid, note }
+ * in alphabetical order, the unpaid participant count and the outstanding amount in dollars
+ */
+export const getPaymentSummary = (names, payments, costPerSquare) => {
+  const feeCents = toCents(costPerSquare || 0);
+  let outstandingCents = 0;
+
+  const participants = getPlayerNames(names).map(name => {
+    const squares = getPlayerSquares(names, name).length;
+    const payment = getPayment(payments, name);
+    if (!payment.paid) {
+      outstandingCents += squares * feeCents;
+    }
+    return { name, squares, amountDue: fromCents(squares * feeCents), ...payment };
+  });
+
+  return {
+    participants,
+    unpaidCount: participants.filter(participant => !participant.paid).length,
+    outstanding: fromCents(outstandingCents)
+  };
+};
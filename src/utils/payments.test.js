@@ -0,0 +1,34 @@
+import { getPayment, setPayment, isSquarePaid, getPaymentSummary, MAX_PAYMENT_NOTE_LENGTH } from './payments';
+
+const names = ['Alex', 'Sam', ' alex ', 'Jo', ''];
+
+describe('Payments', () => {
+  test('should record a payment under one spelling of the name', () => {
+    const payments = setPayment({ ALEX: { paid: false, note: 'Venmo' } }, ' Alex ', { paid: true });
+
+    expect(payments).toEqual({ Alex: { paid: true, note: 'Venmo' } });
+    expect(getPayment(payments, 'alex')).toEqual({ paid: true, note: 'Venmo' });
+    expect(getPayment(payments, 'Sam')).toEqual({ paid: false, note: '' });
+    expect(setPayment({}, 'Jo', { note: 'x'.repeat(150) }).Jo.note).toHaveLength(MAX_PAYMENT_NOTE_LENGTH);
+  });
+
+  test('should mark the squares of paid participants', () => {
+    const payments = { Alex: { paid: true } };
+
+    expect(isSquarePaid(names, payments, 3)).toBe(true);
+    expect(isSquarePaid(names, payments, 2)).toBe(false);
+    expect(isSquarePaid(names, payments, 5)).toBe(false);
+  });
+
+  test('should total what unpaid participants owe', () => {
+    const summary = getPaymentSummary(names, { Sam: { paid: true, note: 'Cash' } }, 12.5);
+
+    expect(summary.unpaidCount).toBe(2);
+    expect(summary.outstanding).toBe(37.5);
+    expect(summary.participants).toEqual([
+      { name: 'Alex', squares: 2, amountDue: 25, paid: false, note: '' },
+      { name: 'Jo', squares: 1, amountDue: 12.5, paid: false, note: '' },
+      { name: 'Sam', squares: 1, amountDue: 12.5, paid: true, note: 'Cash' }
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Cent-accurate payout allocation.
+ *
+ * Every split works in integer cents using the largest-remainder method: each share
+ * gets the floor of its exact amount, then the leftover cents go one at a time to the
+ * shares with the largest fractional parts (earlier shares win ties). The shares always
+ * add up to the amount being split.
+ */
+
+import { TOTAL_SQUARES } from '../constants';
+
+// Where pot money that no payout line claims ends up
+export const UNALLOCATED_POLICIES = {
+  FINAL: 'final',   // Added to the final payout
+  HOUSE: 'house',   // Kept by the organizer as a house or charity cut
+  REFUND: 'refund'  // Returned evenly to every square
+};
+
+/**
+ * Convert a dollar amount to integer cents
+ * @param {number} amount - The amount in dollars
+ * @returns {number} The amount in cents
+ */
+export const toCents = (amount) => {
+  return Math.round((Number(amount) || 0) * 100);
+};
+
+/**
+ * Convert integer cents to a dollar amount
+ * @param {number} cents - The amount in cents
+ * @returns {number} The amount in dollars
+ */
+export const fromCents = (cents) => {
+  return cents / 100;
+};
+
+/**
+ * Split an amount of cents by weight with the largest-remainder method
+ * @param {number} totalCents - The cents to split
+ * @param {Array<number>} weights - Relative weight of each share
+ * @returns {Array<number>} Integer cents per share, adding up to totalCents
+ */
+export const allocateCents = (totalCents, weights) => {
+  const safeWeights = weights.map(weight => (weight > 0 ? weight : 0));
+  const totalWeight = safeWeights.reduce((sum, weight) => sum + weight, 0);
+
+  if (totalCents <= 0 || totalWeight === 0) {
+    return safeWeights.map(() => 0);
+  }
+
+  const exactShares = safeWeights.map(weight => (totalCents * weight) / totalWeight);
+  const shares = exactShares.map(share => Math.floor(share));
+  let leftover = totalCents - shares.reduce((sum, share) => sum + share, 0);
+
+  // Hand out the leftover cents by largest fractional part, then by position
+  const order = exactShares
+    .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+    .filter(item => safeWeights[item.index] > 0)
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length) {
+    shares[order[i].index] += 1;
+    leftover -= 1;
+  }
+
+  return shares;
+};
+
+/**
+ * Split a pot between payout lines by percentage. Whatever the lines don't claim is
+ * handled by the unallocated policy.
+ * @param {number} totalPot - The pot in dollars
+ * @param {Array} lines - Payout lines as { id, percentage, period }. Lines without a period
+ * (such as a separate OT prize) are never treated as the final payout.
+ * @param {string} unallocatedPolicy - One of UNALLOCATED_POLICIES
+ * @returns {Object} Object containing the lines with amounts, the unallocated amount and
+ * the house and refund amounts it turned into
+ */
+export const allocatePot = (totalPot, lines, unallocatedPolicy = UNALLOCATED_POLICIES.FINAL) => {
+  const allocatedPercentage = lines.reduce((sum, line) => sum + (line.percentage || 0), 0);
+  const unallocatedPercentage = Math.max(0, 100 - allocatedPercentage);
+
+  const cents = allocateCents(toCents(totalPot), [
+    ...lines.map(line => line.percentage || 0),
+    unallocatedPercentage
+  ]);
+  const unallocatedCents = cents.pop();
+
+  // The final payout is the checkpoint with the latest period
+  let finalIndex = -1;
+  lines.forEach((line, index) => {
+    if (line.period && (finalIndex === -1 || line.period >= lines[finalIndex].period)) {
+      finalIndex = index;
+    }
+  });
+
+  const policy = unallocatedPolicy === UNALLOCATED_POLICIES.FINAL && finalIndex === -1
+    ? UNALLOCATED_POLICIES.HOUSE
+    : unallocatedPolicy;
+
+  if (policy === UNALLOCATED_POLICIES.FINAL) {
+    cents[finalIndex] += unallocatedCents;
+  }
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, amount: fromCents(cents[index]) })),
+    unallocated: fromCents(unallocatedCents),
+    policy,
+    houseAmount: policy === UNALLOCATED_POLICIES.HOUSE ? fromCents(unallocatedCents) : 0,
+    refundAmount: policy === UNALLOCATED_POLICIES.REFUND ? fromCents(unallocatedCents) : 0
+  };
+};
+
+/**
+ * Split a refund evenly across every square on the board
+ * @param {number} refundAmount - The refund in dollars
+ * @param {number} totalSquares - Number of squares on the board
+ * @returns {Array<number>} The refund per square in dollars, square 1 first
+ */
+export const getRefundShares = (refundAmount, totalSquares = TOTAL_SQUARES) => {
+  return allocateCents(toCents(refundAmount), Array(totalSquares).fill(1)).map(fromCents);
+};
@@ -0,0 +1,88 @@
+import {
+  allocateCents,
+  allocatePot,
+  getRefundShares,
+  toCents,
+  UNALLOCATED_POLICIES
+} from './payoutAllocation';
+
+const sumCents = (amounts) => amounts.reduce((sum, amount) => sum + toCents(amount), 0);
+
+describe('Payout Allocation', () => {
+  describe('allocateCents', () => {
+    test('should always add up to the total', () => {
+      const shares = allocateCents(100000, [1, 1, 1]);
+      expect(shares).toEqual([33334, 33333, 33333]);
+      expect(shares.reduce((sum, share) => sum + share, 0)).toBe(100000);
+    });
+
+    test('should give leftover cents to the largest remainders first', () => {
+      // Exact shares are 2.5, 1.25 and 1.25 cents
+      expect(allocateCents(5, [50, 25, 25])).toEqual([3, 1, 1]);
+      expect(allocateCents(5, [25, 50, 25])).toEqual([1, 3, 1]);
+    });
+
+    test('should give nothing to zero weights', () => {
+      expect(allocateCents(101, [0, 1, 0, 1])).toEqual([0, 51, 0, 50]);
+      expect(allocateCents(100, [0, 0])).toEqual([0, 0]);
+    });
+  });
+
+  describe('allocatePot', () => {
+    const thirds = [
+      { id: 'half', period: 2, percentage: 100 / 3 },
+      { id: 'quarter3', period: 3, percentage: 100 / 3 },
+      { id: 'final', period: 4, percentage: 100 / 3 }
+    ];
+
+    test('should split the whole pot when the lines cover 100%', () => {
+      const result = allocatePot(1000, thirds);
+      expect(result.lines.map(line => line.amount)).toEqual([333.34, 333.33, 333.33]);
+      expect(result.unallocated).toBe(0);
+    });
+
+    test('should add unallocated money to the final payout by default', () => {
+      const lines = [
+        { id: 'final', period: 4, percentage: 50 },
+        { id: 'half', period: 2, percentage: 25 }
+      ];
+      const result = allocatePot(1000, lines);
+      expect(result.lines.map(line => line.amount)).toEqual([750, 250]);
+      expect(result.unallocated).toBe(250);
+      expect(result.houseAmount).toBe(0);
+    });
+
+    test('should keep unallocated money as a house cut', () => {
+      const lines = [{ id: 'final', period: 4, percentage: 90 }];
+      const result = allocatePot(555, lines, UNALLOCATED_POLICIES.HOUSE);
+      expect(result.lines[0].amount).toBe(499.5);
+      expect(result.houseAmount).toBe(55.5);
+      expect(sumCents([result.lines[0].amount, result.houseAmount])).toBe(55500);
+    });
+
+    test('should refund unallocated money', () => {
+      const result = allocatePot(1000, [{ id: 'final', period: 4, percentage: 80 }], UNALLOCATED_POLICIES.REFUND);
+      expect(result.refundAmount).toBe(200);
+      expect(result.policy).toBe(UNALLOCATED_POLICIES.REFUND);
+    });
+
+    test('should not treat a separate OT prize as the final payout', () => {
+      const lines = [
+        { id: 'final', period: 4, percentage: 50 },
+        { id: 'overtime', percentage: 25 }
+      ];
+      const result = allocatePot(100, lines);
+      expect(result.lines.map(line => line.amount)).toEqual([75, 25]);
+    });
+  });
+
+  describe('getRefundShares', () => {
+    test('should split a refund across every square to the cent', () => {
+      const shares = getRefundShares(10.5);
+      expect(shares).toHaveLength(100);
+      expect(shares[0]).toBe(0.11);
+      expect(shares[99]).toBe(0.1);
+      expect(sumCents(shares)).toBe(1050);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Participant summaries.
+ *
+ * One person often owns several squares on a board. These helpers find a name's squares
+ * and describe each one: the digits it holds right now, how many points each team needs
+ * to land on it, and what the name has won so far.
+ */
+
+import { EVENT_STATUS } from './scoringEngine';
+import { getDigitsForPeriod } from './digitAssignment';
+import { getGridPosition, groupDigits } from './boardLayout';
+import { toCents, fromCents } from './payoutAllocation';
+
+// Names match regardless of case and surrounding spaces
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+/**
+ * Get the distinct names on a board, for a name picker
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @returns {Array<string>} Each name once, in alphabetical order
+ */
+export const getPlayerNames = (names) => {
+  const byKey = new Map();
+  names.forEach(name => {
+    const key = normalizeName(name);
+    if (key && !byKey.has(key)) {
+      byKey.set(key, name.trim());
+    }
+  });
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Get the squares a name owns
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @param {string} player - The name to look for
+ * @returns {Array<number>} The 1-based grid indexes of the name's squares
+ */
+export const getPlayerSquares = (names, player) => {
+  const key = normalizeName(player);
+  if (!key) return [];
+
+  return names.reduce((squares, name, index) => {
+    if (normalizeName(name) === key) {
+      squares.push(index + 1);
+    }
+    return squares;
+  }, []);
+};
+
+/**
+ * Get the fewest points that move a score's last digit onto one of a header cell's digits
+ * @param {number} score - The team's score now
+ * @param {Array<number>} cellDigits - The digits the header cell holds
+ * @returns {number} Points needed, 0 if the score already ends in one of them
+ */
+export const getPointsNeeded = (score, cellDigits) => {
+  const lastDigit = score % 10;
+  return Math.min(...cellDigits.map(digit => (digit - lastDigit + 10) % 10));
+};
+
+/**
+ * Build a participant's summary for a board
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @param {string} player - The participant's name
+ * @param {Object} gameData - The game data object
+ * @param {Object} ruleSet - The rule set
+ * @param {Array} events - Payout events from getPayoutEvents
+ * @returns {Object} Object containing the squares as { gridIndex, homeDigits, awayDigits,
+ * homePointsNeeded, awayPointsNeeded } using the current period's digits, and the
+ * winnings from final payouts so far
+ */
+export const getPlayerSummary = (names, player, gameData, ruleSet, events) => {
+  const gridIndexes = getPlayerSquares(names, player);
+  const { layout } = ruleSet;
+  const periodDigits = getDigitsForPeriod(ruleSet.digits, gameData.currentPeriod);
+  const colCells = groupDigits(periodDigits.cols, layout.cols);
+  const rowCells = groupDigits(periodDigits.rows, layout.rows);
+
+  const squares = gridIndexes.map(gridIndex => {
+    const { row, col } = getGridPosition(gridIndex, layout);
+    const homeDigits = layout.homeOnRows ? rowCells[row] : colCells[col];
+    const awayDigits = layout.homeOnRows ? colCells[col] : rowCells[row];
+
+    return {
+      gridIndex,
+      homeDigits,
+      awayDigits,
+      homePointsNeeded: getPointsNeeded(gameData.homeTeam.score || 0, homeDigits),
+      awayPointsNeeded: getPointsNeeded(gameData.awayTeam.score || 0, awayDigits)
+    };
+  });
+
+  const winningCents = events
+    .filter(event => event.status === EVENT_STATUS.FINAL && event.square && gridIndexes.includes(event.square.gridIndex))
+    .reduce((sum, event) => sum + toCents(event.amount), 0);
+
+  return { squares, winnings: fromCents(winningCents) };
+};
@@ -0,0 +1,51 @@
+import { getPlayerNames, getPlayerSquares, getPointsNeeded, getPlayerSummary } from './playerSummary';
+import { getContestRuleSet, getPayoutEvents } from './scoringEngine';
+import { AXIS_ORIENTATIONS } from '../constants';
+
+const names = Array.from({ length: 100 }, (_, i) => `Name ${i + 1}`);
+names[7] = 'Alex';
+names[37] = ' alex ';
+names[99] = 'Sam';
+
+const gameData = {
+  homeTeam: { name: 'Home Team', score: 7, lineScore: [7, 0] },
+  awayTeam: { name: 'Away Team', score: 3, lineScore: [0, 3] },
+  currentPeriod: 2,
+  gameStatus: 'STATUS_IN_PROGRESS',
+  clock: '5:00'
+};
+
+const quarterPrizes = { quarter1: 250, quarter2: 250, quarter3: 250, quarter4: 250 };
+
+describe('Player Summary', () => {
+  test('should list each name once and match names loosely', () => {
+    expect(getPlayerNames(['Sam', 'alex', ' Alex ', ''])).toEqual(['alex', 'Sam']);
+    expect(getPlayerSquares(names, 'ALEX')).toEqual([8, 38]);
+    expect(getPlayerSquares(names, '')).toEqual([]);
+  });
+
+  test('should count the points needed to reach a header cell', () => {
+    expect(getPointsNeeded(7, [7])).toBe(0);
+    expect(getPointsNeeded(7, [0])).toBe(3);
+    expect(getPointsNeeded(14, [9, 8])).toBe(4);
+  });
+
+  test('should describe each square and total final winnings', () => {
+    const ruleSet = getContestRuleSet({ quarterPrizes });
+    const summary = getPlayerSummary(names, 'Alex', gameData, ruleSet, getPayoutEvents(gameData, ruleSet));
+
+    // Q1 (7-0) is final and paid square 8; Q2 (7-3) is live on square 38
+    expect(summary.winnings).toBe(250);
+    expect(summary.squares).toEqual([
+      { gridIndex: 8, homeDigits: [7], awayDigits: [0], homePointsNeeded: 0, awayPointsNeeded: 7 },
+      { gridIndex: 38, homeDigits: [7], awayDigits: [3], homePointsNeeded: 0, awayPointsNeeded: 0 }
+    ]);
+  });
+
+  test('should read home digits from the rows when home runs down the side', () => {
+    const ruleSet = getContestRuleSet({ quarterPrizes, axisOrientation: AXIS_ORIENTATIONS.HOME_ROWS });
+    const summary = getPlayerSummary(names, 'Sam', gameData, ruleSet, []);
+
+    expect(summary.squares[0]).toMatchObject({ gridIndex: 100, homeDigits: [9], awayDigits: [9], homePointsNeeded: 2 });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Commit-reveal utilities for provably fair digit shuffles.
+ *
+ * The API generates a secret seed for each board when the contest is created and
+ * publishes only its SHA-256 hash; the seed never reaches the organizer's browser.
+ * When the organizer locks the names, the API derives the digit orders from the seed
+ * together with a digest of the locked names, stores them and reveals the seed. Anyone
+ * can then recompute the hash, the names digest and the digit orders here with the
+ * same derivation the API uses.
+ *
+ * The organizer can't see the numbers ahead of time, so moving names around before
+ * locking doesn't help them. What this can't rule out is the API operator itself
+ * choosing a seed, since the API both picks and keeps it.
+ */
+
+import { DIGIT_MODES, REGULATION_QUARTERS } from '../constants';
+import { generateDigitOrder } from './digitAssignment';
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array} bytes - The bytes to convert
+ * @returns {string} The hex string
+ */
+const toHex = (bytes) => {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Compute the SHA-256 digest of a string
+ * @param {string} text - The text to hash
+ * @returns {Promise<Uint8Array>} The digest bytes
+ */
+const sha256 = async (text) => {
+  const data = new TextEncoder().encode(text);
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  return new Uint8Array(digest);
+};
+
+/**
+ * Check that the browser supports the crypto APIs needed to verify a board
+ * @returns {boolean} True if supported, false otherwise
+ */
+export const isProvablyFairSupported = () => {
+  return typeof window !== 'undefined' &&
+         !!window.crypto?.subtle &&
+         typeof TextEncoder !== 'undefined';
+};
+
+/**
+ * Hash a seed the way the API does when it publishes the commitment
+ * @param {string} seed - The secret seed
+ * @returns {Promise<string>} The hex SHA-256 hash of the seed
+ */
+export const hashSeed = async (seed) => {
+  return toHex(await sha256(seed));
+};
+
+/**
+ * Hash the names a board was locked with, square 1 first
+ * @param {Array<string>} names - The board's names
+ * @returns {Promise<string>} The hex SHA-256 hash of the trimmed names
+ */
+export const hashNames = async (names) => {
+  return toHex(await sha256(JSON.stringify((names || []).map(name => (name || '').trim()))));
+};
+
+/**
+ * Shuffle the digits using a fixed byte stream. Each draw uses one byte and skips
+ * bytes from the incomplete top range so every position is equally likely.
+ * @param {Array<number>} bytes - The bytes to draw from
+ * @returns {Array<number>|null} The shuffled digits, or null if the bytes ran out
+ */
+export const shuffleDigitsWithBytes = (bytes) => {
+  let offset = 0;
+  const exhausted = {};
+
+  const randomInt = (max) => {
+    const limit = Math.floor(256 / max) * max;
+    while (offset < bytes.length) {
+      const byte = bytes[offset++];
+      if (byte < limit) {
+        return byte % max;
+      }
+    }
+    throw exhausted;
+  };
+
+  try {
+    return generateDigitOrder(randomInt);
+  } catch (error) {
+    if (error === exhausted) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Derive one digit order from a seed. Bytes come from SHA-256(`seed:namesDigest:label:block`)
+ * for block = 0, 1, 2... until the shuffle has enough of them. Without a digest the bytes come
+ * from SHA-256(`seed:label:block`), which only verification uses, to show what such a board's
+ * numbers would have been.
+ * @param {string} seed - The revealed seed
+ * @param {string} label - Which order to derive (e.g. 'rows' or 'q2:cols')
+ * @param {string|null} namesDigest - The locked names' hash from hashNames
+ * @returns {Promise<Array<number>>} The digit order
+ */
+export const deriveDigitOrder = async (seed, label, namesDigest = null) => {
+  const bytes = [];
+  const prefix = namesDigest ? `${seed}:${namesDigest}` : seed;
+
+  for (let block = 0; ; block++) {
+    bytes.push(...await sha256(`${prefix}:${label}:${block}`));
+    const order = shuffleDigitsWithBytes(bytes);
+    if (order) {
+      return order;
+    }
+  }
+};
+
+/**
+ * Derive the full digit assignment for a contest from its seed and locked names
+ * @param {string} seed - The revealed seed
+ * @param {string} mode - The digit mode (DIGIT_MODES.FIXED or DIGIT_MODES.PER_QUARTER)
+ * @param {string|null} namesDigest - The locked names' hash from hashNames
+ * @returns {Promise<Object>} The digit assignment in the same shape as createDigitAssignment
+ */
+export const deriveDigitAssignment = async (seed, mode = DIGIT_MODES.FIXED, namesDigest = null) => {
+  if (mode !== DIGIT_MODES.PER_QUARTER) {
+    return {
+      mode: DIGIT_MODES.FIXED,
+      rows: await deriveDigitOrder(seed, 'rows', namesDigest),
+      cols: await deriveDigitOrder(seed, 'cols', namesDigest)
+    };
+  }
+
+  const quarters = [];
+  for (let quarter = 1; quarter <= REGULATION_QUARTERS; quarter++) {
+    quarters.push({
+      rows: await deriveDigitOrder(seed, `q${quarter}:rows`, namesDigest),
+      cols: await deriveDigitOrder(seed, `q${quarter}:cols`, namesDigest)
+    });
+  }
+
+  return {
+    mode: DIGIT_MODES.PER_QUARTER,
+    rows: quarters[0].rows,
+    cols: quarters[0].cols,
+    quarters
+  };
+};
+
+/**
+ * Verify a revealed seed against the published hash, the board's names and its digits. A board
+ * stored without a names digest never verifies: its numbers aren't tied to its names, so whoever
+ * knew the seed could have placed names after seeing them.
+ * @param {string} seed - The revealed seed
+ * @param {string} seedHash - The hash published before the board was locked
+ * @param {Object} digits - The digit assignment stored with the contest
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @param {string|null} namesDigest - The names hash stored when the board started
+ * @returns {Promise<Object>} Object containing the check results and recomputed digits
+ */
+export const verifyDigitAssignment = async (seed, seedHash, digits, names = [], namesDigest = null) => {
+  const computedHash = await hashSeed(seed);
+  const computedNamesDigest = await hashNames(names);
+  const computedDigits = await deriveDigitAssignment(seed, digits?.mode, namesDigest ? computedNamesDigest : null);
+
+  const sameOrder = (a, b) => Array.isArray(a) && Array.isArray(b) &&
+    a.length === b.length && a.every((digit, i) => digit === b[i]);
+
+  const computedSets = computedDigits.quarters || [computedDigits];
+  const storedSets = digits?.quarters || [digits];
+  const digitsMatch = computedSets.length === storedSets.length &&
+    computedSets.every((set, i) => sameOrder(set.rows, storedSets[i]?.rows) && sameOrder(set.cols, storedSets[i]?.cols));
+
+  const hashMatches = computedHash === String(seedHash || '').toLowerCase();
+  const hasNamesDigest = Boolean(namesDigest);
+  const namesMatch = hasNamesDigest && computedNamesDigest === String(namesDigest).toLowerCase();
+
+  return {
+    hashMatches,
+    hasNamesDigest,
+    namesMatch,
+    digitsMatch,
+    isValid: hashMatches && namesMatch && digitsMatch,
+    computedHash,
+    computedNamesDigest,
+    computedDigits
+  };
+};
@@ -0,0 +1,121 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+  hashSeed,
+  hashNames,
+  shuffleDigitsWithBytes,
+  deriveDigitAssignment,
+  verifyDigitAssignment
+} from './provablyFair';
+import { isValidDigitOrder } from './digitAssignment';
+import { DIGIT_MODES } from '../constants';
+
+// jsdom doesn't provide Web Crypto, so borrow Node's implementation
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+describe('Provably Fair Utilities', () => {
+  describe('hashSeed', () => {
+    test('should return the SHA-256 hex digest', async () => {
+      expect(await hashSeed('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+  });
+
+  describe('shuffleDigitsWithBytes', () => {
+    test('should be deterministic for the same bytes', () => {
+      const bytes = [12, 200, 7, 99, 45, 3, 180, 66, 250, 31];
+      expect(shuffleDigitsWithBytes(bytes)).toEqual(shuffleDigitsWithBytes(bytes));
+      expect(isValidDigitOrder(shuffleDigitsWithBytes(bytes))).toBe(true);
+    });
+
+    test('should skip bytes from the incomplete top range', () => {
+      // 255 is rejected for every range size from 2 to 10
+      const withRejects = [255, 0, 255, 0, 0, 0, 0, 0, 0, 0, 0];
+      const withoutRejects = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+      expect(shuffleDigitsWithBytes(withRejects)).toEqual(shuffleDigitsWithBytes(withoutRejects));
+    });
+
+    test('should return null when the bytes run out', () => {
+      expect(shuffleDigitsWithBytes([1, 2, 3])).toBeNull();
+    });
+  });
+
+  describe('deriveDigitAssignment', () => {
+    test('should derive the same digits from the same seed', async () => {
+      const first = await deriveDigitAssignment('seed-1');
+      const second = await deriveDigitAssignment('seed-1');
+      expect(first).toEqual(second);
+      expect(isValidDigitOrder(first.rows)).toBe(true);
+      expect(isValidDigitOrder(first.cols)).toBe(true);
+    });
+
+    test('should derive four sets in per-quarter mode', async () => {
+      const digits = await deriveDigitAssignment('seed-1', DIGIT_MODES.PER_QUARTER);
+      expect(digits.quarters).toHaveLength(4);
+      expect(digits.rows).toEqual(digits.quarters[0].rows);
+    });
+  });
+
+  describe('verifyDigitAssignment', () => {
+    test('should confirm a matching seed, hash and board', async () => {
+      const seed = '5f1d9c0e7a3b';
+      const seedHash = await hashSeed(seed);
+      const names = ['Alex', 'Sam'];
+      const namesDigest = await hashNames(names);
+      const digits = await deriveDigitAssignment(seed, DIGIT_MODES.PER_QUARTER, namesDigest);
+
+      const result = await verifyDigitAssignment(seed, seedHash, digits, names, namesDigest);
+      expect(result.hashMatches).toBe(true);
+      expect(result.digitsMatch).toBe(true);
+      expect(result.isValid).toBe(true);
+    });
+
+    test('should not pass a board stored without a names digest', async () => {
+      const seed = '5f1d9c0e7a3b';
+      const digits = await deriveDigitAssignment(seed);
+
+      const result = await verifyDigitAssignment(seed, await hashSeed(seed), digits, ['Alex', 'Sam']);
+      expect(result.hashMatches).toBe(true);
+      expect(result.digitsMatch).toBe(true);
+      expect(result.hasNamesDigest).toBe(false);
+      expect(result.isValid).toBe(false);
+    });
+
+    test('should flag a seed that does not match the published hash', async () => {
+      const digits = await deriveDigitAssignment('real-seed');
+      const result = await verifyDigitAssignment('real-seed', await hashSeed('other-seed'), digits);
+      expect(result.hashMatches).toBe(false);
+      expect(result.isValid).toBe(false);
+    });
+
+    test('should mix the locked names into the digits', async () => {
+      const seed = 'real-seed';
+      const names = ['Alex', 'Sam', 'Jo'];
+      const namesDigest = await hashNames(names);
+      const digits = await deriveDigitAssignment(seed, DIGIT_MODES.FIXED, namesDigest);
+
+      expect(await hashNames([' Alex', 'Sam ', 'Jo'])).toBe(namesDigest);
+      expect(await deriveDigitAssignment(seed, DIGIT_MODES.FIXED, await hashNames(['Sam', 'Alex', 'Jo']))).not.toEqual(digits);
+
+      const result = await verifyDigitAssignment(seed, await hashSeed(seed), digits, names, namesDigest);
+      expect(result.namesMatch).toBe(true);
+      expect(result.isValid).toBe(true);
+
+      const swapped = await verifyDigitAssignment(seed, await hashSeed(seed), digits, ['Sam', 'Alex', 'Jo'], namesDigest);
+      expect(swapped.namesMatch).toBe(false);
+      expect(swapped.isValid).toBe(false);
+    });
+
+    test('should flag board digits that were not derived from the seed', async () => {
+      const seedHash = await hashSeed('real-seed');
+      const digits = await deriveDigitAssignment('real-seed');
+      const tampered = { ...digits, rows: [...digits.rows].reverse() };
+
+      const result = await verifyDigitAssignment('real-seed', seedHash, tampered);
+      expect(result.hashMatches).toBe(true);
+      expect(result.digitsMatch).toBe(false);
+    });
+  });
+});
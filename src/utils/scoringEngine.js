@@ -0,0 +1,813 @@
+/**
+ * Scoring rules engine shared by the squares board and the coloring logic.
+ *
+ * A rule set describes when a contest pays out (checkpoints at period boundaries and,
+ * optionally, every change in the score or a share for each minute a square was winning),
+ * how overtime is treated and which digits each board square holds. getPayoutEvents combines a game's line scores and scoring
+ * plays with a rule set and returns every payout event.
+ */
+
+import { REGULATION_QUARTERS } from '../constants';
+import { normalizeDigitAssignment, getDigitsForPeriod, getSquarePosition } from './digitAssignment';
+import { allocateCents, allocatePot, toCents, fromCents } from './payoutAllocation';
+import { getBoardLayout, getGridPosition } from './boardLayout';
+
+// Kinds of payout events the engine can produce
+export const PAYOUT_RULES = {
+  CHECKPOINT: 'checkpoint',
+  OVERTIME: 'overtime',
+  SCORE_CHANGE: 'scoreChange',
+  REVERSE: 'reverse',   // Side prize for the square with the home and away digits swapped
+  NEIGHBOR: 'neighbor', // Side prize for the squares touching the winner
+  TIME_HELD: 'timeHeld' // Share of a prize in proportion to the game time a square was winning
+};
+
+// Rules that pay side prizes next to a main winner
+export const SECONDARY_RULES = [PAYOUT_RULES.REVERSE, PAYOUT_RULES.NEIGHBOR];
+
+// How overtime points are treated
+export const OVERTIME_POLICIES = {
+  FINAL: 'final',       // OT points count toward the final checkpoint
+  SEPARATE: 'separate', // OT pays its own prize on the final score
+  IGNORE: 'ignore'      // The final checkpoint uses the end-of-regulation score
+};
+
+// Lifecycle of a payout event
+export const EVENT_STATUS = {
+  PENDING: 'pending',
+  LIVE: 'live',
+  FINAL: 'final'
+};
+
+// Game clock lengths in seconds
+const REGULATION_PERIOD_SECONDS = 15 * 60;
+const OVERTIME_PERIOD_SECONDS = 10 * 60;
+const REGULATION_SECONDS = REGULATION_QUARTERS * REGULATION_PERIOD_SECONDS;
+
+// Built-in checkpoint configurations; weight sets a checkpoint's share of the pot (default 1)
+export const CHECKPOINT_PRESETS = {
+  QUARTERS: [
+    { id: 'quarter1', label: 'Q1', period: 1 },
+    { id: 'quarter2', label: 'Q2', period: 2 },
+    { id: 'quarter3', label: 'Q3', period: 3 },
+    { id: 'quarter4', label: 'Q4', period: 4 }
+  ],
+  HALFTIME_FINAL: [
+    { id: 'half', label: 'Half', period: 2 },
+    { id: 'final', label: 'Final', period: 4 }
+  ],
+  FINAL_DOUBLED: [
+    { id: 'quarter1', label: 'Q1', period: 1 },
+    { id: 'half', label: 'Half', period: 2 },
+    { id: 'quarter3', label: 'Q3', period: 3 },
+    { id: 'final', label: 'Final', period: 4, weight: 2 }
+  ]
+};
+
+/**
+ * Get the last digit of a number
+ * @param {number} num - The number to get the last digit from
+ * @returns {number} The last digit
+ */
+export const getLastDigit = (num) => {
+  const result = num % 10;
+  return result === -0 ? 0 : result;
+};
+
+/**
+ * Calculate cumulative scores for a given period
+ * @param {Object} gameData - The game data object
+ * @param {number} period - The period to calculate cumulative scores for
+ * @returns {Object} Object containing home and away cumulative scores
+ */
+export const getCumulativeScores = (gameData, period) => {
+  let homeTotal = 0;
+  let awayTotal = 0;
+
+  // Add up all periods up to the current period
+  for (let i = 0; i < period; i++) {
+    const homeScore = gameData.homeTeam.lineScore[i] || 0;
+    const awayScore = gameData.awayTeam.lineScore[i] || 0;
+    homeTotal += homeScore;
+    awayTotal += awayScore;
+  }
+
+  return { home: homeTotal, away: awayTotal };
+};
+
+/**
+ * Get the display label for a period
+ * @param {number} period - The period (1-based)
+ * @returns {string} 'Q1'-'Q4', or 'OT' for overtime periods
+ */
+export const getPeriodLabel = (period) => {
+  return period > REGULATION_QUARTERS ? 'OT' : `Q${period}`;
+};
+
+/**
+ * Create a rule set
+ * @param {Object} options - Rule set options
+ * @param {Array} options.checkpoints - Checkpoints as { id, label, period, amount }. A checkpoint
+ * with remainder: true is paid whatever is left of the pot instead of a fixed amount.
+ * @param {string} options.overtimePolicy - One of OVERTIME_POLICIES
+ * @param {number} options.overtimeAmount - Prize for the overtime event under the separate policy
+ * @param {number} options.scoreChangeAmount - Prize paid on every scoring play (0 disables it)
+ * @param {number} options.timeHeldAmount - Prize split by how long each square was winning (0 disables it)
+ * @param {number} options.totalPot - The contest pot; score payouts stop once it is used up
+ * @param {number} options.reversePercentage - Share of each checkpoint and OT prize paid to the reverse square
+ * @param {number} options.neighborPercentage - Share of each checkpoint and OT prize split between the touching squares
+ * @param {Object} options.unallocated - Pot money no payout claims, as { policy, houseAmount, refundAmount }
+ * @param {Object} options.digits - The digit assignment stored with the contest
+ * @param {string} options.boardSize - One of BOARD_SIZES (defaults to 10x10)
+ * @param {string} options.axisOrientation - One of AXIS_ORIENTATIONS (defaults to home on the columns)
+ * @returns {Object} The rule set
+ */
+export const createRuleSet = ({
+  checkpoints = CHECKPOINT_PRESETS.QUARTERS,
+  overtimePolicy = OVERTIME_POLICIES.FINAL,
+  overtimeAmount = 0,
+  scoreChangeAmount = 0,
+  timeHeldAmount = 0,
+  totalPot = 0,
+  reversePercentage = 0,
+  neighborPercentage = 0,
+  unallocated = null,
+  digits = null,
+  boardSize,
+  axisOrientation
+} = {}) => {
+  return {
+    checkpoints: [...checkpoints]
+      .map(checkpoint => ({ amount: 0, ...checkpoint }))
+      .sort((a, b) => a.period - b.period),
+    overtime: {
+      policy: overtimePolicy,
+      amount: overtimeAmount
+    },
+    scoreChange: {
+      amount: scoreChangeAmount
+    },
+    timeHeld: {
+      amount: timeHeldAmount
+    },
+    totalPot,
+    secondary: {
+      reversePercentage,
+      neighborPercentage
+    },
+    unallocated,
+    digits: normalizeDigitAssignment(digits),
+    layout: getBoardLayout(boardSize, axisOrientation)
+  };
+};
+
+/**
+ * Read the checkpoints stored with a contest. Contests created before checkpoints
+ * were configurable only have the quarter1-quarter4 amounts. Contests paid entirely
+ * by time held store an empty list.
+ * @param {Object} quarterPrizes - The contest's quarterPrizes
+ * @returns {Array} Checkpoints as { id, label, period, amount }
+ */
+const getStoredCheckpoints = (quarterPrizes) => {
+  const stored = Array.isArray(quarterPrizes.checkpoints)
+    ? quarterPrizes.checkpoints.filter(checkpoint =>
+        Number.isInteger(checkpoint?.period) &&
+        checkpoint.period >= 1 &&
+        checkpoint.period <= REGULATION_QUARTERS)
+    : [];
+
+  if (stored.length === 0 && quarterPrizes.timeHeldPercentage >= 100) {
+    return [];
+  }
+
+  if (stored.length === 0) {
+    return CHECKPOINT_PRESETS.QUARTERS.map(checkpoint => ({
+      ...checkpoint,
+      amount: quarterPrizes[checkpoint.id] || 0
+    }));
+  }
+
+  return stored.map((checkpoint, index) => ({
+    id: checkpoint.id || `checkpoint${index + 1}`,
+    label: checkpoint.label || getPeriodLabel(checkpoint.period),
+    period: checkpoint.period,
+    amount: checkpoint.amount || 0,
+    percentage: checkpoint.percentage,
+    remainder: checkpoint.remainder === true
+  }));
+};
+
+/**
+ * Recompute a contest's prize amounts from the stored percentages so every view splits
+ * the pot the same way the organizer saw it. Contests without percentages keep their
+ * stored amounts.
+ * @param {Object} quarterPrizes - The contest's quarterPrizes
+ * @param {Array} checkpoints - The stored checkpoints
+ * @param {string} overtimePolicy - One of OVERTIME_POLICIES
+ * @returns {Object} Object containing the checkpoints, the OT and time held amounts and the
+ * unallocated money
+ */
+const getContestAllocation = (quarterPrizes, checkpoints, overtimePolicy) => {
+  const separateOvertime = overtimePolicy === OVERTIME_POLICIES.SEPARATE;
+  const storedOvertimeAmount = separateOvertime ? (quarterPrizes.overtime || 0) : 0;
+  const timeHeld = quarterPrizes.timeHeldPercentage > 0;
+  const hasPercentages = quarterPrizes.totalPot > 0 &&
+    checkpoints.every(checkpoint => typeof checkpoint.percentage === 'number') &&
+    (!separateOvertime || typeof quarterPrizes.overtimePercentage === 'number');
+
+  if (!hasPercentages) {
+    return {
+      checkpoints,
+      overtimeAmount: storedOvertimeAmount,
+      timeHeldAmount: quarterPrizes.timeHeldAmount || 0,
+      unallocated: null
+    };
+  }
+
+  const lines = [...checkpoints];
+  if (separateOvertime) {
+    lines.push({ id: 'overtime', percentage: quarterPrizes.overtimePercentage });
+  }
+  if (timeHeld) {
+    lines.push({ id: 'timeHeld', percentage: quarterPrizes.timeHeldPercentage });
+  }
+
+  const allocation = allocatePot(quarterPrizes.totalPot, lines, quarterPrizes.unallocatedPolicy);
+  const timeHeldLine = timeHeld ? allocation.lines.pop() : null;
+  const overtimeLine = separateOvertime ? allocation.lines.pop() : null;
+
+  return {
+    checkpoints: allocation.lines,
+    overtimeAmount: overtimeLine ? overtimeLine.amount : 0,
+    timeHeldAmount: timeHeldLine ? timeHeldLine.amount : 0,
+    unallocated: {
+      policy: allocation.policy,
+      houseAmount: allocation.houseAmount,
+      refundAmount: allocation.refundAmount
+    }
+  };
+};
+
+/**
+ * Build the rule set for a stored contest. Contests created before the overtime
+ * policy was configurable count OT points toward the final checkpoint.
+ * @param {Object} contest - The contest data (quarterPrizes, digits, boardSize, axisOrientation)
+ * @returns {Object} The rule set
+ */
+export const getContestRuleSet = (contest) => {
+  const quarterPrizes = contest?.quarterPrizes || {};
+  const overtimePolicy = Object.values(OVERTIME_POLICIES).includes(quarterPrizes.overtimePolicy)
+    ? quarterPrizes.overtimePolicy
+    : OVERTIME_POLICIES.FINAL;
+
+  const allocation = getContestAllocation(quarterPrizes, getStoredCheckpoints(quarterPrizes), overtimePolicy);
+
+  return createRuleSet({
+    checkpoints: allocation.checkpoints,
+    overtimePolicy,
+    overtimeAmount: allocation.overtimeAmount,
+    unallocated: allocation.unallocated,
+    scoreChangeAmount: quarterPrizes.scoreChangeAmount || 0,
+    timeHeldAmount: allocation.timeHeldAmount,
+    totalPot: quarterPrizes.totalPot || 0,
+    reversePercentage: quarterPrizes.secondaryPayouts?.reversePercentage || 0,
+    neighborPercentage: quarterPrizes.secondaryPayouts?.neighborPercentage || 0,
+    digits: contest?.digits,
+    boardSize: contest?.boardSize,
+    axisOrientation: contest?.axisOrientation
+  });
+};
+
+/**
+ * Build a rule set with one checkpoint per period played, each overtime period included
+ * @param {Object} gameData - The game data object
+ * @returns {Object} The rule set
+ */
+export const getPeriodRuleSet = (gameData) => {
+  const periods = Math.max(0, gameData.currentPeriod || 0);
+
+  return createRuleSet({
+    checkpoints: Array.from({ length: periods }, (_, i) => ({
+      id: `period${i + 1}`,
+      label: getPeriodLabel(i + 1),
+      period: i + 1
+    })),
+    overtimePolicy: OVERTIME_POLICIES.IGNORE
+  });
+};
+
+/**
+ * Determine the status of an event scored through a period
+ * @param {Object} gameData - The game data object
+ * @param {number} period - The last period the event includes
+ * @returns {string} One of EVENT_STATUS
+ */
+const getEventStatus = (gameData, period) => {
+  const currentPeriod = gameData.currentPeriod || 0;
+
+  if (period > currentPeriod) {
+    return EVENT_STATUS.PENDING;
+  }
+  if (period < currentPeriod || gameData.gameStatus === 'STATUS_FINAL') {
+    return EVENT_STATUS.FINAL;
+  }
+  return EVENT_STATUS.LIVE;
+};
+
+/**
+ * Score an event through a period and find the square that holds the digits
+ * @param {Object} gameData - The game data object
+ * @param {Object} ruleSet - The rule set
+ * @param {Object} event - The event fields (id, rule, label, amount)
+ * @param {number} period - The last period the event includes
+ * @param {Object} playScores - Scores at a scoring play; defaults to the line score through the period
+ * @returns {Object} The payout event
+ */
+const scoreEvent = (gameData, ruleSet, event, period, playScores = null) => {
+  const status = playScores ? EVENT_STATUS.FINAL : getEventStatus(gameData, period);
+  const scores = playScores || getCumulativeScores(gameData, period);
+  const digits = {
+    home: getLastDigit(scores.home),
+    away: getLastDigit(scores.away)
+  };
+
+  const square = status === EVENT_STATUS.PENDING
+    ? null
+    : getSquarePosition(getDigitsForPeriod(ruleSet.digits, period), digits.home, digits.away, ruleSet.layout);
+
+  return {
+    ...event,
+    period,
+    status,
+    scores,
+    digits,
+    square
+  };
+};
+
+/**
+ * Create one event per scoring play. Payouts stop once they would exceed the pot.
+ * @param {Object} gameData - The game data object (scoringPlays from gameService)
+ * @param {Object} ruleSet - The rule set
+ * @returns {Array} The score change events, oldest first
+ */
+const getScoreChangeEvents = (gameData, ruleSet) => {
+  const amount = ruleSet.scoreChange?.amount || 0;
+  if (amount <= 0) return [];
+
+  let remainingCents = ruleSet.totalPot > 0 ? toCents(ruleSet.totalPot) : Infinity;
+
+  return (gameData.scoringPlays || []).map((play, index) => {
+    const paidCents = Math.min(toCents(amount), remainingCents);
+    remainingCents -= paidCents;
+
+    return {
+      ...scoreEvent(gameData, ruleSet, {
+        id: `score${index + 1}`,
+        rule: PAYOUT_RULES.SCORE_CHANGE,
+        label: [getPeriodLabel(play.period), play.clock].filter(Boolean).join(' '),
+        amount: fromCents(paidCents)
+      }, play.period, { home: play.homeScore, away: play.awayScore }),
+      text: play.text || ''
+    };
+  });
+};
+
+/**
+ * Read a game clock such as '12:34' or '0:45' as seconds left in the period
+ * @param {string} clock - The clock display value
+ * @returns {number|null} Seconds left, or null if the clock is missing or can't be read
+ */
+const parseClock = (clock) => {
+  const parts = String(clock ?? '').split(':').map(part => parseFloat(part));
+  if (parts.some(part => isNaN(part))) {
+    return null;
+  }
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+};
+
+/**
+ * Get the game time that has elapsed at a moment in the game
+ * @param {number} period - The period (1-based)
+ * @param {string} clock - Time left in the period
+ * @returns {number|null} Seconds of game time since kickoff, or null if the clock can't be read
+ */
+export const getElapsedGameSeconds = (period, clock) => {
+  if (!(period >= 1)) return 0;
+
+  const seconds = parseClock(clock);
+  if (seconds === null) return null;
+
+  if (period <= REGULATION_QUARTERS) {
+    const remaining = Math.min(REGULATION_PERIOD_SECONDS, seconds);
+    return (period - 1) * REGULATION_PERIOD_SECONDS + REGULATION_PERIOD_SECONDS - remaining;
+  }
+
+  const remaining = Math.min(OVERTIME_PERIOD_SECONDS, seconds);
+  return REGULATION_SECONDS + (period - REGULATION_QUARTERS) * OVERTIME_PERIOD_SECONDS - remaining;
+};
+
+/**
+ * Get the period being played at a moment in the game
+ * @param {number} seconds - Seconds of game time since kickoff
+ * @returns {number} The period (1-based)
+ */
+const getPeriodAt = (seconds) => {
+  if (seconds < REGULATION_SECONDS) {
+    return Math.floor(seconds / REGULATION_PERIOD_SECONDS) + 1;
+  }
+  return REGULATION_QUARTERS + Math.floor((seconds - REGULATION_SECONDS) / OVERTIME_PERIOD_SECONDS) + 1;
+};
+
+/**
+ * Get how much game time has been played. A final game ends with regulation, or in
+ * overtime at the score that ended it.
+ * @param {Object} gameData - The game data object (scoringPlays from gameService)
+ * @param {Array} changes - Score changes as { at, home, away }, oldest first
+ * @returns {number} Seconds of game time played
+ */
+const getGameLength = (gameData, changes) => {
+  const currentPeriod = gameData.currentPeriod || 0;
+
+  if (gameData.gameStatus !== 'STATUS_FINAL') {
+    // Without a readable clock, count up to the last score or the start of the period
+    const elapsed = getElapsedGameSeconds(currentPeriod, gameData.clock);
+    const lastChange = changes[changes.length - 1];
+    return elapsed ?? Math.max(getElapsedGameSeconds(currentPeriod - 1, '0:00'), lastChange ? lastChange.at : 0);
+  }
+  if (currentPeriod <= REGULATION_QUARTERS) {
+    return REGULATION_SECONDS;
+  }
+
+  const lastChange = changes[changes.length - 1];
+  return lastChange && lastChange.at > REGULATION_SECONDS
+    ? lastChange.at
+    : getElapsedGameSeconds(currentPeriod, '0:00');
+};
+
+/**
+ * Work out how long each square has held the winning digits. Time is measured on the game
+ * clock from kickoff, and overtime only counts when the contest counts OT points. A scoring
+ * play without a readable clock is placed at the play before it, or at the start of its
+ * period if that's later.
+ * @param {Object} gameData - The game data object (scoringPlays from gameService)
+ * @param {Object} ruleSet - The rule set
+ * @returns {Array} Squares as { square, seconds, isCurrent }, longest held first, where
+ * isCurrent marks the square winning right now
+ */
+export const getTimeHeld = (gameData, ruleSet) => {
+  if (!gameData) return [];
+
+  let previousAt = 0;
+  const changes = (gameData.scoringPlays || [])
+    .map(play => {
+      const at = getElapsedGameSeconds(play.period, play.clock)
+        ?? Math.max(previousAt, getElapsedGameSeconds(play.period - 1, '0:00'));
+      previousAt = at;
+      return { at, home: play.homeScore, away: play.awayScore };
+    })
+    .sort((a, b) => a.at - b.at);
+
+  const gameLength = ruleSet.overtime.policy === OVERTIME_POLICIES.IGNORE
+    ? Math.min(getGameLength(gameData, changes), REGULATION_SECONDS)
+    : getGameLength(gameData, changes);
+  if (gameLength <= 0) return [];
+
+  // The winning square can change at a score or, with new numbers each quarter, at a period break
+  const breaks = new Set([0, gameLength, ...changes.map(change => change.at).filter(at => at < gameLength)]);
+  for (let period = 1; period < getPeriodAt(gameLength); period++) {
+    breaks.add(getElapsedGameSeconds(period, '0:00'));
+  }
+  const times = [...breaks].sort((a, b) => a - b);
+
+  const held = new Map();
+  let current = null;
+  let scores = { home: 0, away: 0 };
+  let changeIndex = 0;
+
+  for (let i = 0; i < times.length - 1; i++) {
+    const start = times[i];
+    while (changeIndex < changes.length && changes[changeIndex].at <= start) {
+      scores = changes[changeIndex];
+      changeIndex++;
+    }
+
+    const square = getSquarePosition(
+      getDigitsForPeriod(ruleSet.digits, getPeriodAt(start)),
+      getLastDigit(scores.home),
+      getLastDigit(scores.away),
+      ruleSet.layout
+    );
+    if (!square) continue;
+
+    const entry = held.get(square.gridIndex) || { square, seconds: 0, isCurrent: false };
+    entry.seconds += times[i + 1] - start;
+    held.set(square.gridIndex, entry);
+    current = entry;
+  }
+
+  if (current && gameData.gameStatus !== 'STATUS_FINAL') {
+    current.isCurrent = true;
+  }
+
+  return [...held.values()].sort((a, b) => b.seconds - a.seconds || a.square.gridIndex - b.square.gridIndex);
+};
+
+/**
+ * Create one event per square that has held the winning digits, splitting the time held
+ * prize by seconds held. Amounts are projections until the game is final.
+ * @param {Object} gameData - The game data object
+ * @param {Object} ruleSet - The rule set
+ * @returns {Array} The time held events, longest held first, each with its seconds held
+ */
+const getTimeHeldEvents = (gameData, ruleSet) => {
+  const amount = ruleSet.timeHeld?.amount || 0;
+  if (amount <= 0) return [];
+
+  const held = getTimeHeld(gameData, ruleSet);
+  const shares = allocateCents(toCents(amount), held.map(entry => entry.seconds));
+  const currentPeriod = gameData.currentPeriod || 0;
+  const status = gameData.gameStatus === 'STATUS_FINAL' ? EVENT_STATUS.FINAL : EVENT_STATUS.LIVE;
+
+  return held.map((entry, index) => ({
+    id: `timeHeld${entry.square.gridIndex}`,
+    rule: PAYOUT_RULES.TIME_HELD,
+    label: 'Time Held',
+    amount: fromCents(shares[index]),
+    period: currentPeriod,
+    status,
+    scores: getCumulativeScores(gameData, currentPeriod),
+    digits: null,
+    square: entry.square,
+    seconds: entry.seconds,
+    isCurrent: entry.isCurrent
+  }));
+};
+
+/**
+ * Get the grid indexes of the squares touching a square, diagonals included
+ * @param {Object} square - The square as { row, col }
+ * @param {Object} layout - The board layout from getBoardLayout (defaults to 10x10)
+ * @returns {Array<number>} The 1-based grid indexes, in grid order
+ */
+export const getNeighborIndexes = (square, layout = getBoardLayout()) => {
+  const indexes = [];
+
+  for (let row = square.row - 1; row <= square.row + 1; row++) {
+    for (let col = square.col - 1; col <= square.col + 1; col++) {
+      const isSelf = row === square.row && col === square.col;
+      const onBoard = row >= 0 && row < layout.rows && col >= 0 && col < layout.cols;
+      if (!isSelf && onBoard) {
+        indexes.push(row * layout.cols + col + 1);
+      }
+    }
+  }
+
+  return indexes;
+};
+
+/**
+ * Carve the reverse and neighbor side prizes out of a main event's prize
+ * @param {Object} event - A checkpoint or overtime event; its amount is reduced by the side prizes
+ * @param {Object} ruleSet - The rule set
+ * @returns {Array} The side prize events
+ */
+const getSecondaryEvents = (event, ruleSet) => {
+  const { reversePercentage, neighborPercentage } = ruleSet.secondary || {};
+  if (!event.square || event.amount <= 0) return [];
+
+  // A reverse square only exists when swapping the digits lands on a different square
+  const periodDigits = getDigitsForPeriod(ruleSet.digits, event.period);
+  const reverseDigits = { home: event.digits.away, away: event.digits.home };
+  const reverseSquare = getSquarePosition(periodDigits, reverseDigits.home, reverseDigits.away, ruleSet.layout);
+  const hasReverse = reversePercentage > 0 && reverseSquare && reverseSquare.gridIndex !== event.square.gridIndex;
+  const hasNeighbors = neighborPercentage > 0;
+  if (!hasReverse && !hasNeighbors) return [];
+
+  const shared = {
+    parentId: event.id,
+    period: event.period,
+    status: event.status,
+    scores: event.scores
+  };
+  const secondaryEvents = [];
+
+  const [mainCents, reverseCents, neighborCents] = allocateCents(toCents(event.amount), [
+    100 - (hasReverse ? reversePercentage : 0) - (hasNeighbors ? neighborPercentage : 0),
+    hasReverse ? reversePercentage : 0,
+    hasNeighbors ? neighborPercentage : 0
+  ]);
+  event.amount = fromCents(mainCents);
+
+  if (hasReverse) {
+    secondaryEvents.push({
+      ...shared,
+      id: `${event.id}-reverse`,
+      rule: PAYOUT_RULES.REVERSE,
+      label: `${event.label} Reverse`,
+      amount: fromCents(reverseCents),
+      digits: reverseDigits,
+      square: reverseSquare
+    });
+  }
+
+  if (hasNeighbors) {
+    const neighborIndexes = getNeighborIndexes(event.square, ruleSet.layout);
+    const neighborShares = allocateCents(neighborCents, neighborIndexes.map(() => 1));
+    neighborIndexes.forEach((gridIndex, index) => {
+      secondaryEvents.push({
+        ...shared,
+        id: `${event.id}-neighbor${gridIndex}`,
+        rule: PAYOUT_RULES.NEIGHBOR,
+        label: `${event.label} Neighbor`,
+        amount: fromCents(neighborShares[index]),
+        digits: null,
+        square: getGridPosition(gridIndex, ruleSet.layout)
+      });
+    });
+  }
+
+  return secondaryEvents;
+};
+
+/**
+ * Get every payout event for a game under a rule set
+ * @param {Object} gameData - The game data object
+ * @param {Object} ruleSet - The rule set from createRuleSet
+ * @returns {Array} Payout events as { id, rule, label, period, status, scores, digits, square, amount },
+ * where square is null until the event's period has been reached. Checkpoint and overtime
+ * events come first, then their reverse and neighbor side prizes (each with the parentId of
+ * its main event), then score change events in the order they happened, then time held
+ * events with the longest held first.
+ */
+export const getPayoutEvents = (gameData, ruleSet) => {
+  if (!gameData) return [];
+
+  const currentPeriod = gameData.currentPeriod || 0;
+  const wentToOvertime = currentPeriod > REGULATION_QUARTERS;
+  const { policy, amount: overtimeAmount } = ruleSet.overtime;
+  const scoreChangeEvents = getScoreChangeEvents(gameData, ruleSet);
+  const timeHeldEvents = getTimeHeldEvents(gameData, ruleSet);
+  const events = [];
+
+  ruleSet.checkpoints.forEach(checkpoint => {
+    // Under the final policy, the checkpoint at the end of regulation keeps counting through OT
+    const rollsIntoOvertime = policy === OVERTIME_POLICIES.FINAL &&
+      checkpoint.period === REGULATION_QUARTERS && wentToOvertime;
+    const period = rollsIntoOvertime ? currentPeriod : checkpoint.period;
+
+    events.push(scoreEvent(gameData, ruleSet, {
+      id: checkpoint.id,
+      rule: PAYOUT_RULES.CHECKPOINT,
+      label: checkpoint.label,
+      amount: checkpoint.amount
+    }, period));
+  });
+
+  if (policy === OVERTIME_POLICIES.SEPARATE && wentToOvertime) {
+    events.push(scoreEvent(gameData, ruleSet, {
+      id: 'overtime',
+      rule: PAYOUT_RULES.OVERTIME,
+      label: 'OT',
+      amount: overtimeAmount
+    }, currentPeriod));
+  } else if (policy === OVERTIME_POLICIES.SEPARATE && overtimeAmount > 0 &&
+             gameData.gameStatus === 'STATUS_FINAL') {
+    // The game ended in regulation, so the unclaimed OT prize goes to the final checkpoint
+    const finalEvent = events[events.length - 1];
+    if (finalEvent) {
+      finalEvent.amount += overtimeAmount;
+      finalEvent.includesOvertimePrize = true;
+    }
+  }
+
+  // Remainder checkpoints split whatever the fixed prizes and score payouts left in the pot
+  const remainderEvents = events.filter((event, i) => ruleSet.checkpoints[i]?.remainder);
+  if (remainderEvents.length > 0) {
+    const paidElsewhereCents = [...events, ...scoreChangeEvents, ...timeHeldEvents]
+      .filter(event => !remainderEvents.includes(event))
+      .reduce((sum, event) => sum + toCents(event.amount), 0);
+    const remainingCents = Math.max(0, toCents(ruleSet.totalPot) - paidElsewhereCents);
+    const shares = allocateCents(remainingCents, remainderEvents.map(() => 1));
+    remainderEvents.forEach((event, index) => {
+      event.amount = fromCents(shares[index]);
+    });
+  }
+
+  // Side prizes come out of the main prize once the pot split is settled
+  const secondaryEvents = events.flatMap(event => getSecondaryEvents(event, ruleSet));
+
+  return [...events, ...secondaryEvents, ...scoreChangeEvents, ...timeHeldEvents];
+};
+
+/**
+ * Build one rule set per game for a slate contest. The pot is split evenly between the
+ * games to the cent, and each game pays its share out under the contest's checkpoint
+ * percentages. Slate contests always store percentages, so amounts are recomputed per game.
+ * @param {Object} contest - The contest data (quarterPrizes, digits, boardSize, axisOrientation)
+ * @param {number} gameCount - Number of games in the slate
+ * @returns {Array} One rule set per game, in slate order
+ */
+export const getSlateRuleSets = (contest, gameCount) => {
+  const quarterPrizes = contest?.quarterPrizes || {};
+  const shares = allocateCents(toCents(quarterPrizes.totalPot), Array(gameCount).fill(1));
+
+  return shares.map(share => getContestRuleSet({
+    ...contest,
+    quarterPrizes: { ...quarterPrizes, totalPot: fromCents(share) }
+  }));
+};
+
+/**
+ * Get the payout events for every game in a slate. Event ids (and side prize parent ids)
+ * are prefixed with the game's event ID so they stay unique across games.
+ * @param {Array} games - Games in slate order as { eventId, gameData }
+ * @param {Array} ruleSets - Rule sets from getSlateRuleSets, one per game
+ * @returns {Array} Payout events grouped by game, each tagged with its eventId
+ */
+export const getSlatePayoutEvents = (games, ruleSets) => {
+  return games.flatMap((game, index) => getPayoutEvents(game.gameData, ruleSets[index]).map(event => ({
+    ...event,
+    id: `${game.eventId}:${event.id}`,
+    ...(event.parentId && { parentId: `${game.eventId}:${event.parentId}` }),
+    eventId: game.eventId
+  })));
+};
+
+/**
+ * Add up the house and refund amounts of a slate's games
+ * @param {Array} ruleSets - Rule sets from getSlateRuleSets
+ * @returns {Object|null} Unallocated money in the rule set shape, or null if none is tracked
+ */
+export const getSlateUnallocated = (ruleSets) => {
+  const tracked = ruleSets.map(ruleSet => ruleSet.unallocated).filter(Boolean);
+  if (tracked.length === 0) {
+    return null;
+  }
+
+  return {
+    policy: tracked[0].policy,
+    houseAmount: fromCents(tracked.reduce((sum, item) => sum + toCents(item.houseAmount), 0)),
+    refundAmount: fromCents(tracked.reduce((sum, item) => sum + toCents(item.refundAmount), 0))
+  };
+};
+
+/**
+ * Get the scoring plays behind a checkpoint or overtime event
+ * @param {Object} gameData - The game data object (scoringPlays from gameService)
+ * @param {Object} event - A checkpoint or overtime event from getPayoutEvents
+ * @returns {Object} Object containing decidingPlay, the scoring play that set the event's
+ * digits (null before any score, or if the plays don't match the line score), and plays,
+ * every scoring play in the event's quarter (and the OT it counts), oldest first
+ */
+export const getEventPlays = (gameData, event) => {
+  const scoringPlays = gameData.scoringPlays || [];
+  const firstPeriod = event.rule === PAYOUT_RULES.OVERTIME
+    ? REGULATION_QUARTERS + 1
+    : Math.min(event.period, REGULATION_QUARTERS);
+
+  const plays = scoringPlays.filter(play => play.period >= firstPeriod && play.period <= event.period);
+  const lastPlay = scoringPlays.filter(play => play.period <= event.period).pop() || null;
+  const decidingPlay = lastPlay && event.status !== EVENT_STATUS.PENDING &&
+    lastPlay.homeScore === event.scores.home && lastPlay.awayScore === event.scores.away
+    ? lastPlay
+    : null;
+
+  return { decidingPlay, plays };
+};
+
+/**
+ * Preview the square that would take the current period if a team scored right now.
+ * The game data is left untouched.
+ * @param {Object} gameData - The game data object
+ * @param {Object} ruleSet - The rule set
+ * @param {string} team - 'home' or 'away'
+ * @param {number} points - Points scored
+ * @returns {Object} Object containing the period, scores, digits and square
+ */
+export const simulateScore = (gameData, ruleSet, team, points) => {
+  const period = Math.max(1, gameData.currentPeriod || 0);
+  const current = getCumulativeScores(gameData, period);
+  const scores = { ...current, [team]: current[team] + points };
+  const digits = {
+    home: getLastDigit(scores.home),
+    away: getLastDigit(scores.away)
+  };
+
+  return {
+    period,
+    scores,
+    digits,
+    square: getSquarePosition(getDigitsForPeriod(ruleSet.digits, period), digits.home, digits.away, ruleSet.layout)
+  };
+};
+
+/**
+ * Get the events a square has won so far
+ * @param {Array} events - Payout events from getPayoutEvents
+ * @param {number} gridIndex - The 1-based grid index of the square
+ * @returns {Array} The events the square has won, pending events excluded
+ */
+export const getSquareEvents = (events, gridIndex) => {
+  return events.filter(event => event.square && event.square.gridIndex === gridIndex);
+};
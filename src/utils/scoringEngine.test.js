@@ -0,0 +1,519 @@
+import {
+  createRuleSet,
+  getContestRuleSet,
+  getPayoutEvents,
+  getSquareEvents,
+  getPeriodLabel,
+  getNeighborIndexes,
+  getSlateRuleSets,
+  getSlatePayoutEvents,
+  getSlateUnallocated,
+  getTimeHeld,
+  getElapsedGameSeconds,
+  simulateScore,
+  getEventPlays,
+  CHECKPOINT_PRESETS,
+  OVERTIME_POLICIES,
+  PAYOUT_RULES,
+  EVENT_STATUS
+} from './scoringEngine';
+import { DIGIT_MODES, BOARD_SIZES, AXIS_ORIENTATIONS } from '../constants';
+
+// Helper function to create mock game data
+const createMockGameData = (homeLineScore, awayLineScore, currentPeriod, gameStatus = 'STATUS_IN_PROGRESS') => {
+  return {
+    homeTeam: { name: 'Home Team', score: 0, lineScore: homeLineScore },
+    awayTeam: { name: 'Away Team', score: 0, lineScore: awayLineScore },
+    currentPeriod,
+    gameStatus,
+    clock: '00:00'
+  };
+};
+
+const quarterPrizes = { quarter1: 250, quarter2: 250, quarter3: 250, quarter4: 250 };
+
+describe('Scoring Engine', () => {
+  describe('getPeriodLabel', () => {
+    test('should label regulation quarters and overtime', () => {
+      expect(getPeriodLabel(1)).toBe('Q1');
+      expect(getPeriodLabel(4)).toBe('Q4');
+      expect(getPeriodLabel(5)).toBe('OT');
+    });
+  });
+
+  describe('standard quarters', () => {
+    test('should return one event per quarter with the winning square and amount', () => {
+      // Q1 7-0, Q2 14-7, Q3 17-14
+      const gameData = createMockGameData([7, 7, 3], [0, 7, 7], 3);
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes }));
+
+      expect(events.map(event => event.id)).toEqual(['quarter1', 'quarter2', 'quarter3', 'quarter4']);
+      expect(events[0]).toMatchObject({
+        rule: PAYOUT_RULES.CHECKPOINT,
+        period: 1,
+        status: EVENT_STATUS.FINAL,
+        scores: { home: 7, away: 0 },
+        square: { row: 0, col: 7, gridIndex: 8 },
+        amount: 250
+      });
+      expect(events[2].status).toBe(EVENT_STATUS.LIVE);
+      expect(events[2].square.gridIndex).toBe(48);
+      expect(events[3].status).toBe(EVENT_STATUS.PENDING);
+      expect(events[3].square).toBeNull();
+    });
+
+    test('should mark the last period final once the game is over', () => {
+      const gameData = createMockGameData([7, 7, 3, 7], [0, 7, 7, 3], 4, 'STATUS_FINAL');
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes }));
+
+      expect(events.every(event => event.status === EVENT_STATUS.FINAL)).toBe(true);
+    });
+
+    test('should resolve squares with the stored digit assignment', () => {
+      const digits = {
+        rows: [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+        cols: [3, 1, 4, 0, 5, 9, 2, 6, 8, 7]
+      };
+      const gameData = createMockGameData([7], [0], 1);
+      const [q1] = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes, digits }));
+
+      // Away 0 is the last row, home 7 is the last column
+      expect(q1.square).toEqual({ row: 9, col: 9, gridIndex: 100 });
+    });
+
+    test('should resolve each quarter against its own digits in per-quarter mode', () => {
+      const identity = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+      const reversed = [9, 8, 7, 6, 5, 4, 3, 2, 1, 0];
+      const digits = {
+        mode: DIGIT_MODES.PER_QUARTER,
+        rows: identity,
+        cols: identity,
+        quarters: [
+          { rows: identity, cols: identity },
+          { rows: reversed, cols: reversed },
+          { rows: identity, cols: identity },
+          { rows: identity, cols: identity }
+        ]
+      };
+      // Same digits (0-0) at the end of Q1 and Q2
+      const gameData = createMockGameData([0, 10], [0, 10], 2);
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes, digits }));
+
+      expect(events[0].square.gridIndex).toBe(1);
+      expect(events[1].square.gridIndex).toBe(100);
+    });
+  });
+
+  describe('halftime and final', () => {
+    test('should only pay at the configured checkpoints', () => {
+      const ruleSet = createRuleSet({
+        checkpoints: CHECKPOINT_PRESETS.HALFTIME_FINAL.map(checkpoint => ({ ...checkpoint, amount: 500 }))
+      });
+      const gameData = createMockGameData([7, 7, 3, 7], [0, 7, 7, 3], 4, 'STATUS_FINAL');
+      const events = getPayoutEvents(gameData, ruleSet);
+
+      expect(events.map(event => event.label)).toEqual(['Half', 'Final']);
+      expect(events[0].scores).toEqual({ home: 14, away: 7 });
+      expect(events[1].scores).toEqual({ home: 24, away: 17 });
+    });
+  });
+
+  describe('stored checkpoints', () => {
+    test('should pay the checkpoints stored with the contest', () => {
+      const ruleSet = getContestRuleSet({
+        quarterPrizes: {
+          quarter1: 200, quarter2: 200, quarter3: 200, quarter4: 400,
+          checkpoints: [
+            { id: 'final', label: 'Final', period: 4, amount: 400 },
+            { id: 'quarter1', label: 'Q1', period: 1, amount: 200 },
+            { id: 'half', label: 'Half', period: 2, amount: 200 },
+            { id: 'quarter3', label: 'Q3', period: 3, amount: 200 }
+          ]
+        }
+      });
+      const gameData = createMockGameData([7, 7, 3, 7], [0, 7, 7, 3], 4, 'STATUS_FINAL');
+      const events = getPayoutEvents(gameData, ruleSet);
+
+      expect(events.map(event => event.label)).toEqual(['Q1', 'Half', 'Q3', 'Final']);
+      expect(events[3]).toMatchObject({ amount: 400, scores: { home: 24, away: 17 } });
+    });
+
+    test('should recompute amounts from stored percentages to the cent', () => {
+      const ruleSet = getContestRuleSet({
+        quarterPrizes: {
+          totalPot: 1000,
+          unallocatedPolicy: 'house',
+          checkpoints: [
+            { id: 'half', label: 'Half', period: 2, percentage: 100 / 3, amount: 333 },
+            { id: 'final', label: 'Final', period: 4, percentage: 100 / 3, amount: 333 }
+          ]
+        }
+      });
+
+      expect(ruleSet.checkpoints.map(checkpoint => checkpoint.amount)).toEqual([333.34, 333.33]);
+      expect(ruleSet.unallocated).toMatchObject({ policy: 'house', houseAmount: 333.33 });
+    });
+
+    test('should fall back to quarters when no valid checkpoints are stored', () => {
+      const ruleSet = getContestRuleSet({
+        quarterPrizes: { ...quarterPrizes, checkpoints: [{ id: 'bad', label: 'Bad', period: 9 }] }
+      });
+
+      expect(ruleSet.checkpoints.map(checkpoint => checkpoint.id))
+        .toEqual(['quarter1', 'quarter2', 'quarter3', 'quarter4']);
+    });
+  });
+
+  describe('overtime policies', () => {
+    // Tied 20-20 after regulation, home wins 23-20 in OT
+    const overtimeGame = createMockGameData([7, 3, 7, 3, 3], [0, 10, 3, 7, 0], 5, 'STATUS_FINAL');
+
+    test('should roll OT points into the final checkpoint', () => {
+      const ruleSet = getContestRuleSet({ quarterPrizes });
+      const events = getPayoutEvents(overtimeGame, ruleSet);
+
+      expect(events).toHaveLength(4);
+      expect(events[3]).toMatchObject({ id: 'quarter4', period: 5, scores: { home: 23, away: 20 } });
+    });
+
+    test('should pay a separate OT prize', () => {
+      const ruleSet = createRuleSet({
+        checkpoints: CHECKPOINT_PRESETS.QUARTERS,
+        overtimePolicy: OVERTIME_POLICIES.SEPARATE,
+        overtimeAmount: 100
+      });
+      const events = getPayoutEvents(overtimeGame, ruleSet);
+
+      expect(events).toHaveLength(5);
+      expect(events[3]).toMatchObject({ period: 4, scores: { home: 20, away: 20 } });
+      expect(events[4]).toMatchObject({
+        rule: PAYOUT_RULES.OVERTIME,
+        label: 'OT',
+        period: 5,
+        scores: { home: 23, away: 20 },
+        amount: 100
+      });
+    });
+
+    test('should ignore OT points', () => {
+      const ruleSet = createRuleSet({ overtimePolicy: OVERTIME_POLICIES.IGNORE });
+      const events = getPayoutEvents(overtimeGame, ruleSet);
+
+      expect(events).toHaveLength(4);
+      expect(events[3]).toMatchObject({ period: 4, scores: { home: 20, away: 20 } });
+    });
+
+    test('should read the policy and OT prize stored in quarterPrizes', () => {
+      const ruleSet = getContestRuleSet({
+        quarterPrizes: { ...quarterPrizes, overtime: 200, overtimePolicy: OVERTIME_POLICIES.SEPARATE }
+      });
+      const events = getPayoutEvents(overtimeGame, ruleSet);
+
+      expect(events[4]).toMatchObject({ rule: PAYOUT_RULES.OVERTIME, amount: 200 });
+    });
+
+    test('should default stored contests without a policy to the final policy', () => {
+      expect(getContestRuleSet({ quarterPrizes }).overtime.policy).toBe(OVERTIME_POLICIES.FINAL);
+    });
+
+    test('should give an unclaimed OT prize to the final checkpoint', () => {
+      const ruleSet = getContestRuleSet({
+        quarterPrizes: { ...quarterPrizes, overtime: 200, overtimePolicy: OVERTIME_POLICIES.SEPARATE }
+      });
+      const gameData = createMockGameData([7, 7, 3, 7], [0, 7, 7, 3], 4, 'STATUS_FINAL');
+      const events = getPayoutEvents(gameData, ruleSet);
+
+      expect(events).toHaveLength(4);
+      expect(events[3].amount).toBe(450);
+    });
+
+    test('should not add an OT event when the game ends in regulation', () => {
+      const ruleSet = createRuleSet({ overtimePolicy: OVERTIME_POLICIES.SEPARATE });
+      const gameData = createMockGameData([7, 7, 3, 7], [0, 7, 7, 3], 4, 'STATUS_FINAL');
+
+      expect(getPayoutEvents(gameData, ruleSet)).toHaveLength(4);
+    });
+  });
+
+  describe('every score', () => {
+    const scoringPlays = [
+      { id: '1', period: 1, clock: '9:12', text: 'TD pass', homeScore: 6, awayScore: 0 },
+      { id: '2', period: 1, clock: '9:12', text: 'Extra point', homeScore: 7, awayScore: 0 },
+      { id: '3', period: 2, clock: '0:03', text: 'Field goal', homeScore: 7, awayScore: 3 }
+    ];
+    const everyScorePrizes = {
+      scoreChangeAmount: 100,
+      totalPot: 1000,
+      checkpoints: [{ id: 'final', label: 'Final', period: 4, amount: 0, remainder: true }]
+    };
+
+    test('should pay the matching square on every scoring play', () => {
+      const gameData = { ...createMockGameData([7, 0], [0, 3], 2), scoringPlays };
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes: everyScorePrizes }))
+        .filter(event => event.rule === PAYOUT_RULES.SCORE_CHANGE);
+
+      expect(events).toHaveLength(3);
+      expect(events[0]).toMatchObject({
+        label: 'Q1 9:12',
+        status: EVENT_STATUS.FINAL,
+        scores: { home: 6, away: 0 },
+        square: { row: 0, col: 6, gridIndex: 7 },
+        amount: 100,
+        text: 'TD pass'
+      });
+      expect(events[2].square.gridIndex).toBe(38);
+    });
+
+    test('should pay the rest of the pot to the remainder checkpoint', () => {
+      const gameData = { ...createMockGameData([7, 0, 0, 0], [0, 3, 0, 0], 4, 'STATUS_FINAL'), scoringPlays };
+      const [final] = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes: everyScorePrizes }));
+
+      expect(final).toMatchObject({ id: 'final', amount: 700, scores: { home: 7, away: 3 } });
+    });
+
+    test('should stop paying scores once the pot is used up', () => {
+      const gameData = { ...createMockGameData([7, 0], [0, 3], 2), scoringPlays };
+      const events = getPayoutEvents(gameData, getContestRuleSet({
+        quarterPrizes: { ...everyScorePrizes, totalPot: 250 }
+      }));
+
+      expect(events.map(event => event.amount)).toEqual([0, 100, 100, 50]);
+    });
+  });
+
+  describe('time held', () => {
+    const scoringPlays = [
+      { id: '1', period: 1, clock: '9:12', homeScore: 6, awayScore: 0 },
+      { id: '2', period: 1, clock: '9:12', homeScore: 7, awayScore: 0 },
+      { id: '3', period: 2, clock: '0:03', homeScore: 7, awayScore: 3 }
+    ];
+    const timeHeldPrizes = { checkpoints: [], timeHeldPercentage: 100, totalPot: 1000 };
+
+    test('should convert the period and clock to game time', () => {
+      expect(getElapsedGameSeconds(1, '15:00')).toBe(0);
+      expect(getElapsedGameSeconds(1, '9:12')).toBe(348);
+      expect(getElapsedGameSeconds(4, '0:00')).toBe(3600);
+      expect(getElapsedGameSeconds(5, '5:00')).toBe(3900);
+      expect(getElapsedGameSeconds(2, undefined)).toBeNull();
+      expect(getElapsedGameSeconds(2, 'Halftime')).toBeNull();
+    });
+
+    test('should place a scoring play without a clock at the play before it', () => {
+      const plays = [scoringPlays[0], { ...scoringPlays[1], clock: undefined }];
+      const gameData = { ...createMockGameData([7, 0], [0, 3], 2), clock: '10:00', scoringPlays: plays };
+      const held = getTimeHeld(gameData, getContestRuleSet({ quarterPrizes: timeHeldPrizes }));
+
+      // Same result as when the extra point carries the touchdown's clock
+      expect(held).toEqual([
+        { square: { row: 0, col: 7, gridIndex: 8 }, seconds: 852, isCurrent: true },
+        { square: { row: 0, col: 0, gridIndex: 1 }, seconds: 348, isCurrent: false }
+      ]);
+    });
+
+    test('should track the seconds each square held the winning digits', () => {
+      const gameData = { ...createMockGameData([7, 0], [0, 3], 2), clock: '10:00', scoringPlays: scoringPlays.slice(0, 2) };
+      const held = getTimeHeld(gameData, getContestRuleSet({ quarterPrizes: timeHeldPrizes }));
+
+      // 0-0 until the touchdown, then 7-0; the extra point on the same play adds no time for 6-0
+      expect(held).toEqual([
+        { square: { row: 0, col: 7, gridIndex: 8 }, seconds: 852, isCurrent: true },
+        { square: { row: 0, col: 0, gridIndex: 1 }, seconds: 348, isCurrent: false }
+      ]);
+    });
+
+    test('should split the pot by time held once the game is final', () => {
+      const gameData = { ...createMockGameData([7, 0, 0, 0], [0, 3, 0, 0], 4, 'STATUS_FINAL'), scoringPlays };
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes: timeHeldPrizes }));
+
+      expect(events.every(event => event.rule === PAYOUT_RULES.TIME_HELD)).toBe(true);
+      expect(events.map(event => [event.square.gridIndex, event.seconds, event.amount])).toEqual([
+        [38, 1803, 500.83],
+        [8, 1449, 402.5],
+        [1, 348, 96.67]
+      ]);
+      expect(events.every(event => event.status === EVENT_STATUS.FINAL)).toBe(true);
+    });
+
+    test('should stop the clock at the end of regulation when OT is not counted', () => {
+      const overtimePlays = [...scoringPlays, { id: '4', period: 5, clock: '5:00', homeScore: 10, awayScore: 3 }];
+      const gameData = { ...createMockGameData([7, 0, 0, 0, 3], [0, 3, 0, 0, 0], 5, 'STATUS_FINAL'), scoringPlays: overtimePlays };
+
+      const counted = getTimeHeld(gameData, getContestRuleSet({ quarterPrizes: timeHeldPrizes }));
+      const ignored = getTimeHeld(gameData, getContestRuleSet({
+        quarterPrizes: { ...timeHeldPrizes, overtimePolicy: OVERTIME_POLICIES.IGNORE }
+      }));
+
+      // The walk-off field goal ends the game five minutes into OT
+      expect(counted[0]).toMatchObject({ square: { gridIndex: 38 }, seconds: 2103 });
+      expect(ignored[0]).toMatchObject({ square: { gridIndex: 38 }, seconds: 1803 });
+    });
+  });
+
+  describe('reverse and neighbor side prizes', () => {
+    // Q1 ends 7-3: home digit 7, away digit 3
+    const gameData = createMockGameData([7], [3], 1);
+    const sidePrizes = { ...quarterPrizes, secondaryPayouts: { reversePercentage: 20, neighborPercentage: 40 } };
+
+    test('should carve the side prizes out of the main prize', () => {
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes: sidePrizes }));
+      const q1 = events.find(event => event.id === 'quarter1');
+      const reverse = events.find(event => event.rule === PAYOUT_RULES.REVERSE);
+      const neighbors = events.filter(event => event.rule === PAYOUT_RULES.NEIGHBOR);
+
+      expect(q1).toMatchObject({ amount: 100, square: { gridIndex: 38 } });
+      expect(reverse).toMatchObject({
+        parentId: 'quarter1',
+        amount: 50,
+        digits: { home: 3, away: 7 },
+        square: { row: 7, col: 3, gridIndex: 74 }
+      });
+      expect(neighbors).toHaveLength(8);
+      expect(neighbors.every(event => event.amount === 12.5)).toBe(true);
+    });
+
+    test('should skip the reverse prize when both digits match', () => {
+      const tiedGame = createMockGameData([3], [3], 1);
+      const events = getPayoutEvents(tiedGame, getContestRuleSet({ quarterPrizes: sidePrizes }));
+
+      expect(events.some(event => event.rule === PAYOUT_RULES.REVERSE)).toBe(false);
+      expect(events[0].amount).toBe(150);
+    });
+
+    test('should not pay side prizes for pending events', () => {
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes: sidePrizes }));
+
+      expect(events.filter(event => event.parentId === 'quarter2')).toEqual([]);
+    });
+
+    test('should only count touching squares that are on the board', () => {
+      expect(getNeighborIndexes({ row: 0, col: 0 })).toEqual([2, 11, 12]);
+      expect(getNeighborIndexes({ row: 4, col: 9 })).toEqual([39, 40, 49, 59, 60]);
+    });
+  });
+
+  describe('board sizes', () => {
+    const sidePrizes = { ...quarterPrizes, secondaryPayouts: { reversePercentage: 20, neighborPercentage: 0 } };
+
+    test('should find winners on a 25 square board', () => {
+      const gameData = createMockGameData([7], [3], 1);
+      const ruleSet = getContestRuleSet({ quarterPrizes: sidePrizes, boardSize: BOARD_SIZES.SMALL });
+      const events = getPayoutEvents(gameData, ruleSet);
+
+      expect(ruleSet.layout.totalSquares).toBe(25);
+      expect(events[0].square).toEqual({ row: 1, col: 3, gridIndex: 9 });
+      expect(events.find(event => event.rule === PAYOUT_RULES.REVERSE).square.gridIndex).toBe(17);
+    });
+
+    test('should skip the reverse prize when it lands on the winning square', () => {
+      // 7 and 6 share a header cell on both axes of a 25 square board
+      const gameData = createMockGameData([7], [6], 1);
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes: sidePrizes, boardSize: BOARD_SIZES.SMALL }));
+
+      expect(events.some(event => event.rule === PAYOUT_RULES.REVERSE)).toBe(false);
+      expect(events[0].amount).toBe(250);
+    });
+
+    test('should only count neighbors on the board', () => {
+      const layout = getContestRuleSet({ boardSize: BOARD_SIZES.HALF }).layout;
+      expect(getNeighborIndexes({ row: 4, col: 9 }, layout)).toEqual([39, 40, 49]);
+    });
+
+    test('should find winners with the home team on the rows', () => {
+      const gameData = createMockGameData([7], [3], 1);
+      const events = getPayoutEvents(gameData, getContestRuleSet({
+        quarterPrizes: sidePrizes,
+        axisOrientation: AXIS_ORIENTATIONS.HOME_ROWS
+      }));
+
+      expect(events[0].square).toEqual({ row: 7, col: 3, gridIndex: 74 });
+      expect(events.find(event => event.rule === PAYOUT_RULES.REVERSE).square.gridIndex).toBe(38);
+    });
+  });
+
+  describe('slates', () => {
+    const slatePrizes = {
+      checkpoints: [
+        { id: 'half', label: 'Half', period: 2, percentage: 40 },
+        { id: 'final', label: 'Final', period: 4, percentage: 50 }
+      ],
+      totalPot: 1000.01,
+      unallocatedPolicy: 'house'
+    };
+
+    test('should split the pot evenly between games to the cent', () => {
+      const ruleSets = getSlateRuleSets({ quarterPrizes: slatePrizes }, 3);
+
+      expect(ruleSets.map(ruleSet => ruleSet.totalPot)).toEqual([333.34, 333.34, 333.33]);
+      expect(ruleSets[0].checkpoints.map(checkpoint => checkpoint.amount)).toEqual([133.34, 166.67]);
+      // Each game keeps its own house cut; together the games pay out the whole pot
+      const paidCents = ruleSets.reduce((sum, ruleSet) =>
+        sum + ruleSet.checkpoints.reduce((total, checkpoint) => total + Math.round(checkpoint.amount * 100), 0), 0);
+      expect(getSlateUnallocated(ruleSets).houseAmount).toBe(99.99);
+      expect(paidCents + 9999).toBe(100001);
+    });
+
+    test('should tag each game\'s events with its event ID', () => {
+      const games = [
+        { eventId: 'a', gameData: createMockGameData([7, 0], [3, 0], 2) },
+        { eventId: 'b', gameData: createMockGameData([0], [0], 1) }
+      ];
+      const events = getSlatePayoutEvents(games, getSlateRuleSets({ quarterPrizes: slatePrizes }, 2));
+
+      expect(events.map(event => event.id)).toEqual(['a:half', 'a:final', 'b:half', 'b:final']);
+      expect(events[0]).toMatchObject({ eventId: 'a', amount: 200, square: { gridIndex: 38 } });
+      expect(events[2]).toMatchObject({ eventId: 'b', status: EVENT_STATUS.PENDING });
+    });
+  });
+
+  describe('getEventPlays', () => {
+    const scoringPlays = [
+      { id: '1', period: 1, clock: '9:12', text: 'TD pass', team: 'home', homeScore: 6, awayScore: 0 },
+      { id: '2', period: 1, clock: '9:12', text: 'Extra point', team: 'home', homeScore: 7, awayScore: 0 },
+      { id: '3', period: 2, clock: '0:03', text: 'Field goal', team: 'away', homeScore: 7, awayScore: 3 }
+    ];
+
+    test('should find the play that set each checkpoint\'s digits', () => {
+      const gameData = { ...createMockGameData([7, 0, 0], [0, 3, 0], 3), scoringPlays };
+      const [q1, q2, q3, q4] = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes }));
+
+      expect(getEventPlays(gameData, q1)).toEqual({ decidingPlay: scoringPlays[1], plays: scoringPlays.slice(0, 2) });
+      expect(getEventPlays(gameData, q2)).toEqual({ decidingPlay: scoringPlays[2], plays: [scoringPlays[2]] });
+      // Q3 is scoreless so far; its digits still come from the Q2 field goal
+      expect(getEventPlays(gameData, q3)).toEqual({ decidingPlay: scoringPlays[2], plays: [] });
+      expect(getEventPlays(gameData, q4).decidingPlay).toBeNull();
+    });
+
+    test('should not credit a play that disagrees with the line score', () => {
+      const gameData = { ...createMockGameData([14], [0], 1), scoringPlays };
+      const [q1] = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes }));
+
+      expect(getEventPlays(gameData, q1).decidingPlay).toBeNull();
+    });
+  });
+
+  describe('simulateScore', () => {
+    test('should preview the square for the current quarter without changing the game', () => {
+      // Q1 7-0, Q2 14-7 so far
+      const gameData = createMockGameData([7, 7], [0, 7], 2);
+      const preview = simulateScore(gameData, getContestRuleSet({ quarterPrizes }), 'away', 3);
+
+      expect(preview).toMatchObject({
+        period: 2,
+        scores: { home: 14, away: 10 },
+        square: { row: 0, col: 4, gridIndex: 5 }
+      });
+      expect(gameData.awayTeam.lineScore).toEqual([0, 7]);
+    });
+  });
+
+  describe('getSquareEvents', () => {
+    test('should return the events a square has won', () => {
+      // Q2 and Q4 both end with digits 4-7
+      const gameData = createMockGameData([7, 7, 3, 7], [0, 7, 7, 3], 4, 'STATUS_FINAL');
+      const events = getPayoutEvents(gameData, getContestRuleSet({ quarterPrizes }));
+
+      expect(getSquareEvents(events, 75).map(event => event.label)).toEqual(['Q2', 'Q4']);
+      expect(getSquareEvents(events, 1)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Season standings.
+ *
+ * A season links one contest per game and reuses the same names each week. Each
+ * week's winnings come from the payout events the scoring engine marks as final,
+ * credited to the name on the winning square. Totals are kept in cents so a season
+ * of split prizes still adds up to the cent.
+ */
+
+import { EVENT_STATUS } from './scoringEngine';
+import { toCents, fromCents } from './payoutAllocation';
+
+// Names match ignoring case and surrounding spaces, like payments and settlement
+const getNameKey = (name) => (name || '').trim().toLowerCase();
+
+/**
+ * Add up what each name won from a board's payout events. Only final events count.
+ * @param {Array} events - Payout events from getPayoutEvents
+ * @param {Array<string>} names - The board's names, square 1 first
+ * @param {Object} totals - Running totals in cents by name, added to in place
+ * @returns {Object} The totals in cents by name
+ */
+export const addBoardWinnings = (events, names, totals = {}) => {
+  events.forEach(event => {
+    if (event.status !== EVENT_STATUS.FINAL || !event.square) {
+      return;
+    }
+
+    const name = (names[event.square.gridIndex - 1] || '').trim();
+    if (name) {
+      totals[name] = (totals[name] || 0) + toCents(event.amount);
+    }
+  });
+
+  return totals;
+};
+
+/**
+ * Build standings from each week's winnings. Spellings of a name that differ only in case or
+ * surrounding spaces share one row, shown under the first spelling seen.
+ * @param {Array} weeks - Weeks in season order as { id, label, winnings } where winnings
+ * holds cents by name
+ * @param {Array<string>} participants - Season names, so names that haven't won still appear
+ * @returns {Object} Object containing the weeks and one row per name with its weekly
+ * results, running totals and season total in dollars, best total first
+ */
+export const buildSeasonStandings = (weeks, participants = []) => {
+  const displayNames = new Map();
+  const addName = (name) => {
+    const key = getNameKey(name);
+    if (key && !displayNames.has(key)) {
+      displayNames.set(key, name.trim());
+    }
+  };
+  participants.forEach(addName);
+  weeks.forEach(week => Object.keys(week.winnings).forEach(addName));
+
+  const weeklyWinnings = weeks.map(week => {
+    const byKey = {};
+    Object.entries(week.winnings).forEach(([name, cents]) => {
+      const key = getNameKey(name);
+      byKey[key] = (byKey[key] || 0) + cents;
+    });
+    return byKey;
+  });
+
+  const rows = [...displayNames].map(([key, name]) => {
+    let runningCents = 0;
+    const weekly = [];
+    const running = [];
+
+    weeklyWinnings.forEach(winnings => {
+      const cents = winnings[key] || 0;
+      runningCents += cents;
+      weekly.push(fromCents(cents));
+      running.push(fromCents(runningCents));
+    });
+
+    return { name, weekly, running, total: fromCents(runningCents) };
+  });
+
+  rows.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+  return {
+    weeks: weeks.map(week => ({ id: week.id, label: week.label })),
+    rows
+  };
+};
@@ -0,0 +1,59 @@
+import { addBoardWinnings, buildSeasonStandings } from './seasonStandings';
+import { EVENT_STATUS } from './scoringEngine';
+
+const event = (gridIndex, amount, status = EVENT_STATUS.FINAL) => ({
+  status,
+  amount,
+  square: gridIndex ? { gridIndex } : null
+});
+
+describe('Season Standings', () => {
+  describe('addBoardWinnings', () => {
+    test('should credit final events to the name on the winning square', () => {
+      const names = ['Alice', 'Bob', 'Carol'];
+      const totals = addBoardWinnings([
+        event(1, 0.1),
+        event(1, 0.2),
+        event(2, 50),
+        event(3, 75, EVENT_STATUS.LIVE),
+        event(null, 10)
+      ], names);
+
+      expect(totals).toEqual({ Alice: 30, Bob: 5000 });
+    });
+
+    test('should add to existing totals across boards', () => {
+      const totals = addBoardWinnings([event(1, 5)], ['Alice'], { Alice: 250 });
+      expect(totals).toEqual({ Alice: 750 });
+    });
+  });
+
+  describe('buildSeasonStandings', () => {
+    const weeks = [
+      { id: 'c1', label: 'Week 1', winnings: { Alice: 25000, Bob: 75000 } },
+      { id: 'c2', label: 'Week 2', winnings: { Alice: 100000 } }
+    ];
+
+    test('should total each name across weeks, best first', () => {
+      const standings = buildSeasonStandings(weeks, ['Bob', 'Alice', 'Dave']);
+
+      expect(standings.weeks).toEqual([{ id: 'c1', label: 'Week 1' }, { id: 'c2', label: 'Week 2' }]);
+      expect(standings.rows).toEqual([
+        { name: 'Alice', weekly: [250, 1000], running: [250, 1250], total: 1250 },
+        { name: 'Bob', weekly: [750, 0], running: [750, 750], total: 750 },
+        { name: 'Dave', weekly: [0, 0], running: [0, 0], total: 0 }
+      ]);
+    });
+
+    test('should combine spellings of a name that differ only in case or spaces', () => {
+      const standings = buildSeasonStandings([
+        { id: 'c1', label: 'Week 1', winnings: { Alex: 1000, ALEX: 500 } },
+        { id: 'c2', label: 'Week 2', winnings: { 'alex ': 2000 } }
+      ], [' Alex']);
+
+      expect(standings.rows).toEqual([
+        { name: 'Alex', weekly: [15, 20], running: [15, 35], total: 35 }
+      ]);
+    });
+  });
+});
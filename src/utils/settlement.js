@@ -0,0 +1,119 @@
+/**
+ * Contest settlement.
+ *
+ * After the game the organizer collects each participant's entry fee and pays out what
+ * their squares won. These helpers total both sides per name across every board of a
+ * contest, net them into a single amount to collect or pay, and write the result up as
+ * plain text that can be pasted into a group chat. Amounts are kept in cents throughout.
+ */
+
+import { addBoardWinnings } from './seasonStandings';
+import { toCents, fromCents, getRefundShares } from './payoutAllocation';
+import { formatAmount } from './currency';
+
+/**
+ * Add one board's fees, winnings and refunds to the running per-name totals. Names are matched
+ * ignoring case and surrounding spaces, so "Alex" and "alex " settle as one person under
+ * the first spelling seen.
+ * @param {Object} totals - Running totals keyed by lowercased name as
+ * { name, squares, fees, winnings, refund } in cents, added to in place
+ * @param {Object} board - The board from getContestBoards
+ * @param {Array} events - The board's payout events
+ * @param {Object} unallocated - The board's unallocated pot from the rule set
+ * @param {number} totalSquares - Number of squares on the board
+ * @returns {Object} The totals by name
+ */
+export const addBoardSettlement = (totals, board, events, unallocated, totalSquares) => {
+  const names = board.names || [];
+  const feeCents = toCents(board.costPerSquare || 0);
+  const refundShares = unallocated?.refundAmount > 0 ? getRefundShares(unallocated.refundAmount, totalSquares) : [];
+
+  const getTotal = (name) => {
+    const key = name.toLowerCase();
+    if (!totals[key]) {
+      totals[key] = { name, squares: 0, fees: 0, winnings: 0, refund: 0 };
+    }
+    return totals[key];
+  };
+
+  names.forEach((rawName, index) => {
+    const name = (rawName || '').trim();
+    if (!name) return;
+
+    const total = getTotal(name);
+    total.squares += 1;
+    total.fees += feeCents;
+    total.refund += toCents(refundShares[index] || 0);
+  });
+
+  const winnings = addBoardWinnings(events, names, {});
+  Object.entries(winnings).forEach(([name, cents]) => {
+    getTotal(name).winnings += cents;
+  });
+
+  return totals;
+};
+
+/**
+ * Turn per-name totals into settlement rows
+ * @param {Object} totals - Totals by name from addBoardSettlement
+ * @returns {Array} Rows as { name, squares, fees, winnings, refund, net } in dollars, where a
+ * positive net is paid to the participant and a negative net is owed by them. Biggest
+ * winners first.
+ */
+export const buildSettlement = (totals) => {
+  const rows = Object.values(totals).map(total => ({
+    name: total.name,
+    squares: total.squares,
+    fees: fromCents(total.fees),
+    winnings: fromCents(total.winnings),
+    refund: fromCents(total.refund),
+    net: fromCents(total.winnings + total.refund - total.fees)
+  }));
+
+  rows.sort((a, b) => b.winnings - a.winnings || b.net - a.net || a.name.localeCompare(b.name));
+  return rows;
+};
+
+/**
+ * Write a settlement up as plain text
+ * @param {Array} rows - Rows from buildSettlement
+ * @param {Object} options - Options object
+ * @param {string} options.title - Heading, usually the matchup
+ * @param {string} options.currency - Currency code for amounts
+ * @param {number} options.houseAmount - What the house keeps in dollars
+ * @param {boolean} options.isFinal - Whether every payout is settled
+ * @returns {string} The summary, one line per entry
+ */
+export const formatSettlementText = (rows, { title, currency, houseAmount = 0, isFinal = true }) => {
+  const format = (amount) => formatAmount(amount, currency);
+  const winners = rows.filter(row => row.winnings > 0);
+  const owes = rows.filter(row => row.net < 0);
+  const paid = rows.filter(row => row.net > 0);
+
+  const lines = [`${title} - ${isFinal ? 'Final Results' : 'Results So Far'}`, ''];
+
+  lines.push('Winnings:');
+  if (winners.length === 0) {
+    lines.push('  No payouts yet');
+  }
+  winners.forEach(row => lines.push(`  ${row.name}: ${format(row.winnings)}`));
+
+  lines.push('', 'Owes:');
+  if (owes.length === 0) {
+    lines.push('  Nobody');
+  }
+  owes.forEach(row => lines.push(`  ${row.name}: ${format(-row.net)}`));
+
+  lines.push('', 'Gets paid:');
+  if (paid.length === 0) {
+    lines.push('  Nobody');
+  }
+  paid.forEach(row => lines.push(`  ${row.name}: ${format(row.net)}`));
+
+  if (houseAmount > 0) {
+    lines.push('', `House / Charity: ${format(houseAmount)}`);
+  }
+
+  return lines.join('\n');
+};
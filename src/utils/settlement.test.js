@@ -0,0 +1,65 @@
+import { addBoardSettlement, buildSettlement, formatSettlementText } from './settlement';
+import { EVENT_STATUS } from './scoringEngine';
+import { UNALLOCATED_POLICIES } from './payoutAllocation';
+
+const names = Array(100).fill('');
+names[0] = 'Alex';
+names[1] = ' Alex ';
+names[2] = 'Sam';
+names[3] = 'Jo';
+names[4] = 'jo ';
+
+const board = { id: 'main', costPerSquare: 10, names };
+
+const events = [
+  { id: 'q1', status: EVENT_STATUS.FINAL, amount: 25, square: { gridIndex: 1 } },
+  { id: 'q2', status: EVENT_STATUS.FINAL, amount: 25, square: { gridIndex: 2 } },
+  { id: 'q3', status: EVENT_STATUS.FINAL, amount: 25, square: { gridIndex: 3 } },
+  { id: 'q4', status: EVENT_STATUS.LIVE, amount: 25, square: { gridIndex: 4 } },
+  { id: 'final', status: EVENT_STATUS.FINAL, amount: 5, square: { gridIndex: 5 } }
+];
+
+describe('Settlement', () => {
+  test('should total fees and every payout per name, ignoring case', () => {
+    const totals = addBoardSettlement({}, board, events, null, 100);
+
+    expect(buildSettlement(totals)).toEqual([
+      { name: 'Alex', squares: 2, fees: 20, winnings: 50, refund: 0, net: 30 },
+      { name: 'Sam', squares: 1, fees: 10, winnings: 25, refund: 0, net: 15 },
+      { name: 'Jo', squares: 2, fees: 20, winnings: 5, refund: 0, net: -15 }
+    ]);
+  });
+
+  test('should add refund shares and combine boards', () => {
+    const unallocated = { policy: UNALLOCATED_POLICIES.REFUND, houseAmount: 0, refundAmount: 100 };
+    const totals = addBoardSettlement({}, board, [], unallocated, 100);
+    addBoardSettlement(totals, { id: 'second', costPerSquare: 5, names: ['Jo'] }, [], null, 100);
+
+    expect(buildSettlement(totals).find(row => row.name === 'Jo')).toEqual({
+      name: 'Jo', squares: 3, fees: 25, winnings: 0, refund: 2, net: -23
+    });
+  });
+
+  test('should write a plain-text summary', () => {
+    const rows = buildSettlement(addBoardSettlement({}, board, events, null, 100));
+    const text = formatSettlementText(rows, { title: 'Away @ Home', currency: 'USD', houseAmount: 5, isFinal: false });
+
+    expect(text).toBe([
+      'Away @ Home - Results So Far',
+      '',
+      'Winnings:',
+      '  Alex: $50',
+      '  Sam: $25',
+      '  Jo: $5',
+      '',
+      'Owes:',
+      '  Jo: $15',
+      '',
+      'Gets paid:',
+      '  Alex: $30',
+      '  Sam: $15',
+      '',
+      'House / Charity: $5'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Self-service square claiming.
+ *
+ * Instead of the organizer typing every name, a claiming contest lets participants open the
+ * participant link, enter their name and tap open squares. Claims are stored by square
+ * number, so a board fills in any order and unclaimed squares stay empty until someone takes
+ * them. The organizer can cap how many squares one name may hold, and can still release or
+ * reassign squares from the admin page until the board starts.
+ */
+
+import { getPlayerSquares } from './playerSummary';
+
+// How often open claim pages check for squares other people have taken
+export const CLAIM_POLL_MS = 5000;
+
+/**
+ * Check whether a contest lets participants claim their own squares
+ * @param {Object} settings - The contest settings
+ * @returns {boolean} True for claiming contests
+ */
+export const isClaimingEnabled = (settings) => Boolean(settings?.claimSquares);
+
+/**
+ * Get the most squares one name may claim
+ * @param {Object} settings - The contest settings
+ * @returns {number|null} The limit, or null when there is none
+ */
+export const getClaimLimit = (settings) => {
+  const limit = parseInt(settings?.claimLimit, 10);
+  return limit > 0 ? limit : null;
+};
+
+/**
+ * Check whether a participant may claim a square
+ * @param {Array<string>} names - The board's names by square, square 1 first
+ * @param {number} gridIndex - The 1-based square to claim
+ * @param {string} player - The participant's name
+ * @param {number|null} limit - The per-name limit from getClaimLimit
+ * @returns {Object} Object containing allowed and, when not allowed, the reason to show
+ */
+export const canClaimSquare = (names, gridIndex, player, limit) => {
+  if (!player || !player.trim()) {
+    return { allowed: false, reason: 'Enter your name first.' };
+  }
+
+  if (names[gridIndex - 1] && names[gridIndex - 1].trim()) {
+    return { allowed: false, reason: 'That square is already taken.' };
+  }
+
+  if (limit && getPlayerSquares(names, player).length >= limit) {
+    return { allowed: false, reason: `You can claim up to ${limit} square${limit === 1 ? '' : 's'}.` };
+  }
+
+  return { allowed: true, reason: '' };
+};
+
+/**
+ * Merge freshly loaded names into the organizer's form without losing edits in progress
+ * @param {Array<string>} formNames - The names in the form now
+ * @param {Array<string>} savedNames - The names as last loaded or saved
+ * @param {Array<string>} serverNames - The names just loaded
+ * @returns {Array<string>} The form names, taking the loaded name wherever the square
+ * hasn't been edited since the last load or save
+ */
+export const mergeClaimedNames = (formNames, savedNames, serverNames) => {
+  return formNames.map((name, index) => (
+    name === (savedNames[index] || '') ? (serverNames[index] || '') : name
+  ));
+};
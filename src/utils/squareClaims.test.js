@@ -0,0 +1,29 @@
+import { isClaimingEnabled, getClaimLimit, canClaimSquare, mergeClaimedNames } from './squareClaims';
+
+const names = ['Alex', '', 'alex', '', 'Sam'];
+
+describe('Square Claims', () => {
+  test('should read the claiming settings', () => {
+    expect(isClaimingEnabled({ claimSquares: true })).toBe(true);
+    expect(isClaimingEnabled({})).toBe(false);
+    expect(getClaimLimit({ claimLimit: 5 })).toBe(5);
+    expect(getClaimLimit({ claimLimit: 0 })).toBeNull();
+    expect(getClaimLimit(null)).toBeNull();
+  });
+
+  test('should only allow open squares within the limit', () => {
+    expect(canClaimSquare(names, 2, 'Sam', 2)).toEqual({ allowed: true, reason: '' });
+    expect(canClaimSquare(names, 1, 'Sam', null).allowed).toBe(false);
+    expect(canClaimSquare(names, 2, ' ', null).reason).toBe('Enter your name first.');
+    expect(canClaimSquare(names, 2, 'ALEX', 2).reason).toBe('You can claim up to 2 squares.');
+    expect(canClaimSquare(names, 2, 'Alex', null).allowed).toBe(true);
+  });
+
+  test('should keep edits in progress when new claims arrive', () => {
+    const saved = ['Alex', '', ''];
+    const form = ['Alex', 'Jo', ''];
+
+    expect(mergeClaimedNames(form, saved, ['Alex', 'Sam', 'Kim'])).toEqual(['Alex', 'Jo', 'Kim']);
+    expect(mergeClaimedNames(form, saved, ['', '', ''])).toEqual(['', 'Jo', '']);
+  });
+});
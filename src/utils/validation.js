@@ -34,6 +34,18 @@ const sanitizeInput = (data) => {
   return data;
 };
 
+// HTML sanitization for names as they are typed, to prevent XSS on user input
+export const sanitizeNameInput = (str) => {
+  if (typeof str !== 'string') return str;
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;')
+    .replace(/\//g, '&#x2F;');
+};
+
 // Validate event ID (matching backend eventIdSchema)
 export const validateEventId = (eventId) => {
   const sanitizedEventId = sanitizeString(eventId);
@@ -59,6 +71,40 @@ export const validateEventId = (eventId) => {
   return { isValid: true, message: '', value: sanitizedEventId };
 };
 
+// Validate season ID; season IDs follow the same rules as event IDs
+export const validateSeasonId = (seasonId) => {
+  const sanitizedSeasonId = sanitizeString(seasonId);
+  
+  if (!sanitizedSeasonId) {
+    return { isValid: false, message: 'Season ID is required' };
+  }
+  
+  if (sanitizedSeasonId.length > 100) {
+    return { isValid: false, message: 'Season ID is too long' };
+  }
+  
+  if (!/^[a-zA-Z0-9_-]+$/.test(sanitizedSeasonId)) {
+    return { isValid: false, message: 'Season ID can only contain letters, numbers, hyphens, and underscores' };
+  }
+  
+  return { isValid: true, message: '', value: sanitizedSeasonId };
+};
+
+// Validate season name
+export const validateSeasonName = (name) => {
+  const sanitizedName = sanitizeString(name);
+  
+  if (!sanitizedName) {
+    return { isValid: false, message: 'Season name is required' };
+  }
+  
+  if (sanitizedName.length > 50) {
+    return { isValid: false, message: 'Season name cannot exceed 50 characters' };
+  }
+  
+  return { isValid: true, message: '', value: sanitizedName };
+};
+
 // Validate cost per square (matching backend costPerSquareSchema)
 export const validateCostPerSquare = (cost) => {
   const sanitizedCost = sanitizeInput(cost);
@@ -109,7 +155,7 @@ export const validateName = (name) => {
 };
 
 // Validate names array for saving (allows partial names)
-export const validateNamesForSave = (names) => {
+export const validateNamesForSave = (names, totalSquares = TOTAL_SQUARES) => {
   if (!Array.isArray(names)) {
     return { isValid: false, message: 'Names must be an array' };
   }
@@ -120,8 +166,8 @@ export const validateNamesForSave = (names) => {
     return { isValid: false, message: 'At least one name is required' };
   }
   
-  if (sanitizedNames.length > 100) {
-    return { isValid: false, message: 'Cannot exceed 100 names' };
+  if (sanitizedNames.length > totalSquares) {
+    return { isValid: false, message: `Cannot exceed ${totalSquares} names` };
   }
   
   // Validate each individual name
@@ -139,8 +185,8 @@ export const validateNamesForSave = (names) => {
   return { isValid: true, message: '', value: sanitizedNames };
 };
 
-// Validate names array for submitting (requires exactly 100 names)
-export const validateNames = (names) => {
+// Validate names array for submitting (requires one name per square, 100 on a standard board)
+export const validateNames = (names, totalSquares = TOTAL_SQUARES) => {
   if (!Array.isArray(names)) {
     return { isValid: false, message: 'Names must be an array' };
   }
@@ -151,8 +197,8 @@ export const validateNames = (names) => {
     return { isValid: false, message: 'At least one name is required' };
   }
   
-  if (sanitizedNames.length > 100) {
-    return { isValid: false, message: 'Cannot exceed 100 names' };
+  if (sanitizedNames.length > totalSquares) {
+    return { isValid: false, message: `Cannot exceed ${totalSquares} names` };
   }
   
   // Validate each individual name
@@ -167,9 +213,9 @@ export const validateNames = (names) => {
     };
   }
   
-  // Check if we have exactly 100 names for the squares game
-  if (sanitizedNames.length !== TOTAL_SQUARES) {
-    return { isValid: false, message: 'Please enter exactly 100 names' };
+  // Check if we have exactly one name per square for the squares game
+  if (sanitizedNames.length !== totalSquares) {
+    return { isValid: false, message: `Please enter exactly ${totalSquares} names` };
   }
   
   return { isValid: true, message: '', value: sanitizedNames };
@@ -192,4 +238,53 @@ export const validateContestId = (contestId) => {
   }
   
   return { isValid: true, message: '', value: sanitizedContestId };
-};
\ No newline at end of file
+};
+
+// Validate payout checkpoints ({ id, label, period, percentage, remainder })
+export const validateCheckpoints = (checkpoints) => {
+  if (!Array.isArray(checkpoints) || checkpoints.length === 0) {
+    return { isValid: false, message: 'At least one payout checkpoint is required' };
+  }
+  
+  if (checkpoints.length > 10) {
+    return { isValid: false, message: 'Cannot exceed 10 payout checkpoints' };
+  }
+  
+  const sanitizedCheckpoints = [];
+  for (const checkpoint of checkpoints) {
+    const label = sanitizeString(checkpoint.label || '');
+    if (!label) {
+      return { isValid: false, message: 'Each payout checkpoint needs a label' };
+    }
+    
+    if (label.length > 20) {
+      return { isValid: false, message: 'Checkpoint labels cannot exceed 20 characters' };
+    }
+    
+    const period = Number(checkpoint.period);
+    if (!Number.isInteger(period) || period < 1 || period > 4) {
+      return { isValid: false, message: 'Checkpoints must pay at the end of a quarter' };
+    }
+    
+    const percentage = Number(checkpoint.percentage);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      return { isValid: false, message: 'Checkpoint percentages must be between 0 and 100' };
+    }
+    
+    sanitizedCheckpoints.push({
+      id: checkpoint.id,
+      label,
+      period,
+      percentage,
+      ...(checkpoint.remainder ? { remainder: true } : {})
+    });
+  }
+  
+  // Round away floating point error from weighted splits such as thirds
+  const totalPercentage = sanitizedCheckpoints.reduce((sum, checkpoint) => sum + checkpoint.percentage, 0);
+  if (Math.round(totalPercentage * 100) / 100 > 100) {
+    return { isValid: false, message: 'Payouts cannot exceed 100% of the pot' };
+  }
+  
+  return { isValid: true, message: '', value: sanitizedCheckpoints };
+};
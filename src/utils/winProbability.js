@@ -0,0 +1,182 @@
+/**
+ * Approximate win probabilities for the heatmap overlay.
+ *
+ * Each team's last digit is modelled as a Markov chain: scoring plays arrive at the
+ * league-wide average rate, and each one moves the digit by the points it adds, using the
+ * bundled frequency tables. The two teams are treated as independent and overtime is not
+ * modelled, so the numbers are a rough guide rather than a prediction.
+ */
+
+import { SCORING_EVENTS_PER_MINUTE, POINTS_PER_SCORE_FREQUENCIES } from '../constants/scoringFrequencies';
+import { PAYOUT_RULES, EVENT_STATUS, getElapsedGameSeconds, getCumulativeScores, getLastDigit } from './scoringEngine';
+import { getDigitsForPeriod, getSquarePosition } from './digitAssignment';
+
+// Scoring plays per team beyond this are too unlikely to matter in the time left
+const MAX_SCORING_EVENTS = 15;
+
+/**
+ * Last-digit transition table for one scoring play
+ * @returns {Array<Array<number>>} Row `from` holds the chance of each last digit after one score
+ */
+export const LAST_DIGIT_TRANSITIONS = Array.from({ length: 10 }, (_, from) => {
+  const row = Array(10).fill(0);
+  POINTS_PER_SCORE_FREQUENCIES.forEach(({ points, frequency }) => {
+    row[(from + points) % 10] += frequency;
+  });
+  return row;
+});
+
+/**
+ * Get the chance of each last digit a team could have after some game time
+ * @param {number} digit - The team's last digit now
+ * @param {number} seconds - Game time still to play
+ * @returns {Array<number>} Probability of each last digit 0-9, adding up to 1
+ */
+export const getDigitDistribution = (digit, seconds) => {
+  const meanEvents = (SCORING_EVENTS_PER_MINUTE * Math.max(0, seconds)) / 60;
+  const result = Array(10).fill(0);
+  let current = Array(10).fill(0);
+  current[digit] = 1;
+
+  // Weight the digit after k scores by the Poisson chance of exactly k scores
+  let chance = Math.exp(-meanEvents);
+  for (let k = 0; k <= MAX_SCORING_EVENTS; k++) {
+    for (let index = 0; index < 10; index++) {
+      result[index] += chance * current[index];
+    }
+
+    const next = Array(10).fill(0);
+    current.forEach((probability, from) => {
+      LAST_DIGIT_TRANSITIONS[from].forEach((transition, to) => {
+        next[to] += probability * transition;
+      });
+    });
+    current = next;
+    chance *= meanEvents / (k + 1);
+  }
+
+  const total = result.reduce((sum, probability) => sum + probability, 0);
+  return result.map(probability => probability / total);
+};
+
+// Move a joint home x away digit distribution forward by a digit shift distribution
+// (getDigitDistribution from 0); the teams score independently at the same rate
+const advanceJoint = (joint, shift) => {
+  const next = Array.from({ length: 10 }, () => Array(10).fill(0));
+
+  for (let home = 0; home < 10; home++) {
+    for (let away = 0; away < 10; away++) {
+      const probability = joint[home][away];
+      if (probability === 0) continue;
+      for (let homeShift = 0; homeShift < 10; homeShift++) {
+        for (let awayShift = 0; awayShift < 10; awayShift++) {
+          next[(home + homeShift) % 10][(away + awayShift) % 10] += probability * shift[homeShift] * shift[awayShift];
+        }
+      }
+    }
+  }
+
+  return next;
+};
+
+// Grid index of the square holding each home x away digit pair in a period
+const getSquareMap = (ruleSet, period) => {
+  const periodDigits = getDigitsForPeriod(ruleSet.digits, period);
+  return Array.from({ length: 10 }, (_, home) =>
+    Array.from({ length: 10 }, (_, away) => getSquarePosition(periodDigits, home, away, ruleSet.layout)?.gridIndex || null));
+};
+
+/**
+ * Estimate every square's chances from the current score, clock and period
+ * @param {Object} gameData - The game data object
+ * @param {Object} ruleSet - The rule set
+ * @param {Array} events - Payout events from getPayoutEvents
+ * @param {number} costPerSquare - What a square costs, taken off its expected value
+ * @returns {Object} Squares by grid index as { quarter, game, expectedValue }: the chance of
+ * holding the digits at the end of the current period, the chance of winning at least one
+ * checkpoint still to be paid, and expected checkpoint winnings (won plus still to come)
+ * less the square's cost. Side prizes count toward the main winner; every-score and
+ * time-held payouts are not included.
+ */
+export const getWinProbabilities = (gameData, ruleSet, events, costPerSquare = 0) => {
+  const period = Math.max(1, gameData.currentPeriod || 0);
+  // An unreadable clock is treated as the start of the period
+  const now = gameData.currentPeriod > 0
+    ? getElapsedGameSeconds(period, gameData.clock) ?? getElapsedGameSeconds(period - 1, '0:00')
+    : 0;
+  const scores = getCumulativeScores(gameData, period);
+  const start = { home: getLastDigit(scores.home), away: getLastDigit(scores.away) };
+
+  const squares = {};
+  for (let gridIndex = 1; gridIndex <= ruleSet.layout.totalSquares; gridIndex++) {
+    squares[gridIndex] = { quarter: 0, game: 0, expectedValue: -costPerSquare };
+  }
+
+  // Chance of holding the digits when the current period ends
+  const periodMap = getSquareMap(ruleSet, period);
+  const homeDigits = getDigitDistribution(start.home, getElapsedGameSeconds(period, '0:00') - now);
+  const awayDigits = getDigitDistribution(start.away, getElapsedGameSeconds(period, '0:00') - now);
+  homeDigits.forEach((homeChance, home) => awayDigits.forEach((awayChance, away) => {
+    const gridIndex = periodMap[home][away];
+    if (gridIndex) squares[gridIndex].quarter += homeChance * awayChance;
+  }));
+
+  // Prizes already decided count at face value; the rest are weighted by their chances
+  const mainEvents = events.filter(event => event.rule === PAYOUT_RULES.CHECKPOINT || event.rule === PAYOUT_RULES.OVERTIME);
+  const getPrize = (event) => event.amount + events
+    .filter(secondary => secondary.parentId === event.id)
+    .reduce((sum, secondary) => sum + secondary.amount, 0);
+
+  mainEvents.filter(event => event.status === EVENT_STATUS.FINAL && event.square).forEach(event => {
+    squares[event.square.gridIndex].expectedValue += getPrize(event);
+  });
+
+  const remaining = mainEvents
+    .filter(event => event.status !== EVENT_STATUS.FINAL && event.rule === PAYOUT_RULES.CHECKPOINT)
+    .map(event => ({
+      prize: getPrize(event),
+      end: getElapsedGameSeconds(event.period, '0:00'),
+      squareMap: getSquareMap(ruleSet, event.period)
+    }))
+    .sort((a, b) => a.end - b.end);
+  remaining.forEach((checkpoint, index) => {
+    checkpoint.shift = getDigitDistribution(0, checkpoint.end - (index > 0 ? remaining[index - 1].end : now));
+  });
+
+  const startJoint = Array.from({ length: 10 }, () => Array(10).fill(0));
+  startJoint[start.home][start.away] = 1;
+
+  // Walk the remaining checkpoints once per square, dropping the paths where it wins,
+  // so a square isn't counted twice for winning two checkpoints
+  Object.keys(squares).forEach(key => {
+    const gridIndex = Number(key);
+    let joint = startJoint;
+
+    remaining.forEach(checkpoint => {
+      joint = advanceJoint(joint, checkpoint.shift);
+
+      let winChance = 0;
+      for (let home = 0; home < 10; home++) {
+        for (let away = 0; away < 10; away++) {
+          if (checkpoint.squareMap[home][away] === gridIndex) {
+            winChance += joint[home][away];
+            joint[home][away] = 0;
+          }
+        }
+      }
+      squares[gridIndex].game += winChance;
+    });
+  });
+
+  // Expected winnings only need each checkpoint's own chances
+  remaining.forEach(checkpoint => {
+    const homeAtEnd = getDigitDistribution(start.home, checkpoint.end - now);
+    const awayAtEnd = getDigitDistribution(start.away, checkpoint.end - now);
+    homeAtEnd.forEach((homeChance, home) => awayAtEnd.forEach((awayChance, away) => {
+      const gridIndex = checkpoint.squareMap[home][away];
+      if (gridIndex) squares[gridIndex].expectedValue += homeChance * awayChance * checkpoint.prize;
+    }));
+  });
+
+  return squares;
+};
@@ -0,0 +1,67 @@
+import { getDigitDistribution, getWinProbabilities, LAST_DIGIT_TRANSITIONS } from './winProbability';
+import { getContestRuleSet, getPayoutEvents } from './scoringEngine';
+
+const createMockGameData = (homeLineScore, awayLineScore, currentPeriod, clock) => ({
+  homeTeam: { name: 'Home Team', score: 0, lineScore: homeLineScore },
+  awayTeam: { name: 'Away Team', score: 0, lineScore: awayLineScore },
+  currentPeriod,
+  gameStatus: 'STATUS_IN_PROGRESS',
+  clock
+});
+
+const quarterPrizes = { quarter1: 250, quarter2: 250, quarter3: 250, quarter4: 250 };
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('Win Probability', () => {
+  test('each transition row should be a probability distribution', () => {
+    LAST_DIGIT_TRANSITIONS.forEach(row => {
+      expect(sum(row)).toBeCloseTo(1, 6);
+    });
+  });
+
+  describe('getDigitDistribution', () => {
+    test('should keep the current digit when no time is left', () => {
+      expect(getDigitDistribution(7, 0)).toEqual([0, 0, 0, 0, 0, 0, 0, 1, 0, 0]);
+    });
+
+    test('should spread out as more time is left', () => {
+      const nearEnd = getDigitDistribution(0, 60);
+      const fullGame = getDigitDistribution(0, 3600);
+
+      expect(sum(fullGame)).toBeCloseTo(1, 6);
+      expect(nearEnd[0]).toBeGreaterThan(0.9);
+      expect(fullGame[0]).toBeLessThan(nearEnd[0]);
+      // 0 and 7 are the two most common last digits in the NFL
+      expect(fullGame[7]).toBeGreaterThan(fullGame[5]);
+    });
+  });
+
+  describe('getWinProbabilities', () => {
+    test('should give every square a share of the current quarter', () => {
+      const gameData = createMockGameData([7, 0], [0, 3], 2, '7:30');
+      const ruleSet = getContestRuleSet({ quarterPrizes });
+      const squares = getWinProbabilities(gameData, ruleSet, getPayoutEvents(gameData, ruleSet), 10);
+
+      expect(sum(Object.values(squares).map(square => square.quarter))).toBeCloseTo(1, 6);
+      // 7-3 is on the board now and is the most likely Q2 winner
+      const leader = Object.entries(squares).sort((a, b) => b[1].quarter - a[1].quarter)[0];
+      expect(leader[0]).toBe('38');
+    });
+
+    test('should count prizes already won and expected prizes to come', () => {
+      const gameData = createMockGameData([7, 0], [0, 3], 2, '7:30');
+      const ruleSet = getContestRuleSet({ quarterPrizes });
+      const squares = getWinProbabilities(gameData, ruleSet, getPayoutEvents(gameData, ruleSet), 10);
+
+      // Q1 (7-0, square 8) is paid; Q2-Q4 are still to come, so expected winnings add up to the pot
+      const expectedTotal = sum(Object.values(squares).map(square => square.expectedValue + 10));
+      expect(expectedTotal).toBeCloseTo(1000, 6);
+      expect(squares[8].expectedValue).toBeGreaterThan(240);
+      Object.values(squares).forEach(square => {
+        expect(square.game).toBeGreaterThanOrEqual(0);
+        expect(square.game).toBeLessThanOrEqual(1);
+      });
+    });
+  });
+});